@@ -6,6 +6,8 @@ declare namespace PIXI.animate {
         export function fillFrames(timeline:boolean[], startFrame:number, duration:number);
         export function deserializeKeyframes(keyframes:string):{[frame:string]:any};
         export function deserializeShapes(str:string):Array<string|number>;
+        export function deserializeBinaryShapes(buffer:ArrayBuffer):Array<Array<string|number>>;
+        export function serializeBinaryShapes(shapes:Array<Array<string|number>>):ArrayBuffer;
         export function parseValue(prop:string, buffer:string): any;
         export function upload(renderer:PIXI.WebGLRenderer, displayObject:PIXI.DisplayObject, done:Function): void;
         export function addMovieClips(item:PIXI.DisplayObject): boolean;
@@ -17,6 +19,33 @@ declare namespace PIXI.animate {
         stage:any;
         parent:PIXI.Container;
         basePath:string;
+        complete?:(instance:MovieClip, loader:PIXI.loaders.Loader) => void;
+        error?:(error:LoadError, loader:PIXI.loaders.Loader) => void;
+        onProgress?:(progress:number, id:string) => void;
+        onError?:(id:string, error:Error) => void;
+        loader?:PIXI.loaders.Loader;
+        metadata?:any;
+    }
+
+    interface LoadError extends Error {
+        failed:string[];
+    }
+
+    interface LoadAsyncOptions {
+        stage:any;
+        parent?:PIXI.Container;
+        basePath?:string;
+        loader?:PIXI.loaders.Loader;
+        metadata?:any;
+        onProgress?:(progress:number, id:string) => void;
+        onError?:(id:string, error:Error) => void;
+        signal?:AbortSignal;
+    }
+
+    interface LoadResult {
+        instance:MovieClip;
+        loader:PIXI.loaders.Loader;
+        resources:{[id:string]:PIXI.loaders.Resource};
     }
 
     type LoadCallback = (instance:MovieClip) => void;
@@ -25,6 +54,32 @@ declare namespace PIXI.animate {
     export function load(StageRef:any, parent:PIXI.Container, basePath?:string):PIXI.loaders.Loader;
     export function load(StageRef:any, callback:LoadCallback):PIXI.loaders.Loader;
     export function load(options:LoadOptions):PIXI.loaders.Loader;
+    export function loadAsync(options:LoadAsyncOptions):Promise<LoadResult>;
+    export function unload(StageRef:any):void;
+
+    interface ExportOptions {
+        stage:any;
+        basePath?:string;
+        loader?:PIXI.loaders.Loader;
+        metadata?:any;
+        width?:number;
+        height?:number;
+        resolution?:number;
+        framerate?:number;
+        backgroundColor?:number;
+        transparent?:boolean;
+        format?:string;
+        prefix?:string;
+        write?:(name:string, data:Uint8Array|Uint8ClampedArray) => any;
+        onProgress?:(progress:number) => void;
+    }
+
+    interface ExportFrame {
+        name:string;
+        data:Uint8Array|Uint8ClampedArray;
+    }
+
+    export function exportFrames(options:ExportOptions):Promise<ExportFrame[]>;
 
     type LabelMap = {[id:string]:number};
 
@@ -33,29 +88,83 @@ declare namespace PIXI.animate {
         position:number;
     }
 
+    interface SeekOptions {
+        runActions?:boolean;
+    }
+
     interface MovieClipOptions {
         mode?:number;
         startPosition?:number;
-        loop?:boolean;
+        loop?:boolean|string;
+        repeat?:number;
+        repeatDelay?:number;
         labels?:LabelMap;
         duration?:number;
         framerate?:number;
+        interpolate?:boolean;
+    }
+
+    export class Clock {
+        constructor(ticker?:PIXI.ticker.Ticker, autoUpdate?:boolean);
+        public readonly ticker:PIXI.ticker.Ticker;
+        public paused:boolean;
+        public timeScale:number;
+        public autoUpdate:boolean;
+        static readonly shared:Clock;
+        pause():void;
+        resume():void;
+        step(frames?:number):void;
+        update(seconds:number):void;
+        add(clip:MovieClip):void;
+        remove(clip:MovieClip):void;
+        destroy():void;
+    }
+
+    export class ColorTransformRenderer extends PIXI.ObjectRenderer {
+        constructor(renderer:PIXI.WebGLRenderer);
+        static readonly PLUGIN_NAME:string;
+        public size:number;
+        render(sprite:PIXI.Sprite):void;
+        renderGraphics(graphics:PIXI.Graphics):void;
+        destroy():void;
+    }
+
+    export class FrameRenderer {
+        constructor(width:number, height:number, options?:any);
+        public readonly renderer:PIXI.CanvasRenderer;
+        public readonly stage:PIXI.Container;
+        public readonly instance:MovieClip;
+        setInstance(instance:MovieClip):void;
+        render():void;
+        getData(format?:string):Uint8Array|Uint8ClampedArray|string;
+        clear():void;
+        destroy(removeView?:boolean):void;
     }
 
     export class Scene extends PIXI.Application {
         constructor(width?:number, height?:number, renderOptions?:any, noWebGL?:boolean);
         public sound:PIXI.utils.EventEmitter;
+        public readonly clock:Clock;
+        public autoUpdate:boolean;
         public load(StageRef:any, callback?:LoadCallback, basePath?:string):PIXI.loaders.Loader;
+        public update(seconds:number):void;
+        public advanceFrames(frames?:number):void;
     }
 
     export class MovieClip extends PIXI.Container {
         public mode:number;
         public startPosition:number;
         public loop:boolean;
+        public loopMode:string;
+        public repeat:number;
+        public repeatDelay:number;
         public selfAdvance:boolean;
         public paused:boolean;
         public actionsEnabled:boolean;
         public autoReset:boolean;
+        public interpolate:boolean;
+        public timeScale:number;
+        public clock:Clock;
         public readonly labels:FrameLabel[];
         public readonly labelsMap:LabelMap;
         public elapsedTime:number;
@@ -75,8 +184,8 @@ declare namespace PIXI.animate {
         addKeyframes(instance:PIXI.DisplayObject, keyframes:any):void;
         addTimedMask(instance:PIXI.DisplayObject, keyframes:any):MovieClip;
         am(instance:PIXI.DisplayObject, keyframes:any):MovieClip;
-        addTween(instance:PIXI.DisplayObject, properties:any, startFrame:number, duration?:number, ease?:Function):MovieClip;
-        tw(instance:PIXI.DisplayObject, properties:any, startFrame:number, duration?:number, ease?:Function): MovieClip;
+        addTween(instance:PIXI.DisplayObject, properties:any, startFrame:number, duration?:number, ease?:EaseValue|EaseMap):MovieClip;
+        tw(instance:PIXI.DisplayObject, properties:any, startFrame:number, duration?:number, ease?:EaseValue|EaseMap):MovieClip;
         addTimedChild(instance:PIXI.DisplayObject, startFrame:number, duration?:number,  keyframes?:any):MovieClip;
         at(instance:PIXI.DisplayObject, startFrame:number, duration?:number, keyframes?:any):MovieClip;
         addAction(callback:Function, startFrame:number|string):MovieClip;
@@ -85,6 +194,7 @@ declare namespace PIXI.animate {
         stop(): void;
         gotoAndPlay(positionOrLabel:string|number):void;
         gotoAndStop(positionOrLabel:string|number):void;
+        seek(positionOrLabel:string|number, options?:SeekOptions):void;
         playSound(alias:string, loop?:boolean):MovieClip;
         ps(alias:string, loop?:boolean):MovieClip;
         advance(time:number):void;
@@ -96,6 +206,17 @@ declare namespace PIXI.animate {
         static SYNCED:number;
     }
 
+    export type EaseValue = number|number[]|((t:number) => number);
+
+    export type EaseMap = {[prop:string]:EaseValue};
+
+    export class Ease {
+        static get(ease:EaseValue):(t:number) => number;
+        static classic(strength:number):(t:number) => number;
+        static cubicBezier(x1:number, y1:number, x2:number, y2:number):(t:number) => number;
+        static custom(points:number[]):(t:number) => number;
+    }
+
     export class Tween {
         public target:PIXI.DisplayObject;
         public startProps:any;
@@ -104,13 +225,19 @@ declare namespace PIXI.animate {
         public duration:number;
         public endFrame:number;
         public ease:Function;
+        public eases:{[prop:string]:Function};
+        public path:any;
+        public orient:boolean;
+        public rotate:string;
+        public rotations:number;
+        public colorSpace:string;
         constructor(
             target:PIXI.DisplayObject,
             startProps:any,
             endProps:any,
             startFrame:number,
             duration:number,
-            ease?:Function);
+            ease?:EaseValue|EaseMap);
         setPosition(currentFrame:number): void;
         setToEnd(): void;
     }
@@ -118,24 +245,55 @@ declare namespace PIXI.animate {
     export class Timeline extends Array {
         public target:PIXI.DisplayObject;
         constructor(target:PIXI.DisplayObject);
-        addTween(instance:PIXI.DisplayObject, properties:any, startFrame:number, duration:number, ease?:Function):void;
+        addTween(instance:PIXI.DisplayObject, properties:any, startFrame:number, duration:number, ease?:EaseValue|EaseMap):void;
         getPropFromShorthand(instance:PIXI.DisplayObject, prop:string):boolean|number|PIXI.Sprite|PIXI.Graphics;
+        reset():void;
     }
 
     export class ShapesCache {
-        static add(id:string, draw:Array<string|number>):void;
+        static add(id:string, draw:string|ArrayBuffer|Array<Array<string|number>>):void;
         static fromCache(id:string):void;
+        static getGeometry(commands:Array<string|number>):PIXI.Graphics;
         static removeAll():void;
         static remove(id:string):void;
     }
 
+    export class AssetRegistry {
+        static retain(assets:{[id:string]:string}):void;
+        static release(assets:{[id:string]:string}):void;
+        static count(id:string):number;
+        static get(id:string):PIXI.loaders.Resource;
+        static destroy(id:string):void;
+    }
+
+    interface AtlasFrame {
+        atlas:string;
+        frame:string;
+        texture:PIXI.Texture;
+    }
+
+    export class SymbolLoader {
+        static frames:{[name:string]:AtlasFrame};
+        static symbolName(frame:string):string;
+        static addFrames(atlas:string, textures:{[frame:string]:PIXI.Texture}):void;
+        static removeFrames(atlas:string):void;
+    }
+
+    interface AnimatorLoopOptions {
+        loop?:boolean|string;
+        repeat?:number;
+        repeatDelay?:number;
+    }
+
+    export type AnimatorLoop = boolean|string|AnimatorLoopOptions;
+
     export class Animator {
         static STOP_LABEL:string;
         static LOOP_LABEL:string;
-        static play(instance:MovieClip, callback?:Function):AnimatorTimeline;
-        static play(instance:MovieClip, label:string, callback?:Function):AnimatorTimeline;
+        static play(instance:MovieClip, callback?:Function, loop?:AnimatorLoop):AnimatorTimeline;
+        static play(instance:MovieClip, label:string, callback?:Function, loop?:AnimatorLoop):AnimatorTimeline;
         static to(instance:MovieClip, end:string|number, callback?:Function):AnimatorTimeline;
-        static fromTo(instance:MovieClip, start:string|number, end:string|number, loop?:boolean, callback?:Function):AnimatorTimeline;
+        static fromTo(instance:MovieClip, start:string|number, end:string|number, loop?:AnimatorLoop, callback?:Function):AnimatorTimeline;
         static stop(instance:MovieClip): void;
         static stopAll(): void;
     }
@@ -146,9 +304,13 @@ declare namespace PIXI.animate {
         start:number;
         end:number;
         loop:boolean;
+        loopMode:string;
+        repeat:number;
+        repeatDelay:number;
         callback:Function;
+        reverse:boolean;
         stop(): void;
-        static create(instance:MovieClip, start:number, end:number, loop:boolean, callback?:Function): AnimatorTimeline;
+        static create(instance:MovieClip, start:number, end:number, loop:AnimatorLoop, callback?:Function): AnimatorTimeline;
     }
 }
 
@@ -8,7 +8,7 @@ const timelines = [];
  * @class Animator
  * @memberof PIXI.animate
  */
-class Animatorsss {
+class Animator {
 
     /**
      * The collection of timelines
@@ -49,17 +49,21 @@ class Animatorsss {
      * @param {PIXI.animate.MovieClip} instance Movie clip to play.
      * @param {String|Function} [label] The frame label event to call, if no event is provided
      *        will use the entire length of the MovieClip. Can also be the callback.
-     * @param {Function} [callback] Optional callback when complete
+     * @param {Function} [callback] Optional callback when complete, after the last repeat
+     * @param {Boolean|String|Object} [loop] Optional looping instead of looping by the end label,
+     *        see `PIXI.animate.Animator.fromTo`. Options without `loop` use the end label.
      * @return {PIXI.animate.AnimatorTimeline} Timeline object for stopping or getting progress.
      */
-    static play(instance, label, callback) {
-        let loop = false;
+    static play(instance, label, callback, loop) {
+        let options = loop;
         let start, end;
         const labelIsFunction = typeof label === "function";
+        loop = false;
         if (label === undefined || labelIsFunction) {
             start = 0;
             end = instance.totalFrames - 1;
             if (labelIsFunction) {
+                options = callback;
                 callback = label;
             }
         } else {
@@ -75,6 +79,12 @@ class Animatorsss {
                 throw new Error("No end label matching '" + label + "'");
             }
         }
+        if (options !== undefined) {
+            if (options && typeof options === "object" && options.loop === undefined && loop) {
+                options = Object.assign({ loop: loop }, options);
+            }
+            loop = options;
+        }
         return this.fromTo(
             instance,
             start,
@@ -85,7 +95,8 @@ class Animatorsss {
     }
 
     /**
-     * Play an animation from the current frame to an end frame or label.
+     * Play an animation from the current frame to an end frame or label, in reverse
+     * if the end is before the current frame.
      * @method PIXI.animate.Animator#to
      * @static
      * @param {PIXI.animate.MovieClip} instance Movie clip to play.
@@ -104,14 +115,22 @@ class Animatorsss {
     }
 
     /**
-     * Play a MovieClip from a start to end frame.
+     * Play a MovieClip from a start to end frame, in reverse if the end frame is before
+     * the start frame, at the speed of the `timeScale` of the MovieClip.
      * @method PIXI.animate.Animator#fromTo
      * @static
      * @param {PIXI.animate.MovieClip} instance Movie clip to play.
      * @param {Number|String} start The starting frame index or label.
      * @param {Number|String} end The ending frame index or label.
-     * @param {Boolean} [loop=false] If the animation should loop.
-     * @param {Function} [callback] Optional callback when complete
+     * @param {Boolean|String|Object} [loop=false] If the animation should loop, the loop mode,
+     *        "none", "loop" or "pingpong" to play back and forth, or the looping options.
+     * @param {Boolean|String} [loop.loop] If the animation should loop or the loop mode,
+     *        defaults to looping if there's a repeat count.
+     * @param {int} [loop.repeat=-1] The number of times to repeat, -1 repeats forever. When
+     *        playing back and forth, each pass in either direction is a repeat.
+     * @param {Number} [loop.repeatDelay=0] The time in seconds to hold the end frame before
+     *        each repeat.
+     * @param {Function} [callback] Optional callback when complete, after the last repeat
      * @return {PIXI.animate.AnimatorTimeline} Timeline object for stopping or getting progress.
      */
     static fromTo(instance, start, end, loop, callback) {
@@ -130,21 +149,19 @@ class Animatorsss {
                 throw new Error("No end label matching '" + endLabel + "'");
             }
         }
-        if (start < 0) {
+        if (start < 0 || start >= instance.totalFrames) {
             throw new Error('Start frame is out of bounds');
         }
-        if (end >= instance.totalFrames) {
+        if (end < 0 || end >= instance.totalFrames) {
             throw new Error('End frame is out of bounds');
         }
-        if (start >= end) {
-            throw new Error('End frame is before start frame');
+        if (start === end) {
+            throw new Error('End frame is the same as the start frame');
         }
 
         // Stop any animation that's playing
         this.stop(instance);
 
-        loop = !!loop;
-
         // Add a new timeline
         const timeline = AnimatorTimeline.create(
             instance,
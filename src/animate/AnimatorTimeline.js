@@ -17,12 +17,21 @@ class AnimatorTimeline {
      * @param {PIXI.animate.MovieClip} instance
      * @param {Number} start
      * @param {Number} end
-     * @param {Boolean} loop
+     * @param {Boolean|String|Object} loop If the timeline loops, the loop mode or
+     *        the `loop`, `repeat` and `repeatDelay` options, see `PIXI.animate.Animator.fromTo`
      * @param {Function} callback
      * @private
      */
     init(instance, start, end, loop, callback) {
 
+        const options = loop && typeof loop === "object" ? loop : { loop: loop };
+        if (options.loop === undefined) {
+            // A repeat count means looping
+            loop = options.repeat !== undefined && options.repeat !== 0;
+        } else {
+            loop = options.loop;
+        }
+
         /**
          * Instance of clip to play.
          * @name PIXI.animate.AnimatorTimeline#instance
@@ -31,13 +40,39 @@ class AnimatorTimeline {
          */
         this.instance = instance;
 
+        /**
+         * How the timeline continues when it reaches the end frame: "none" stops,
+         * "loop" starts again from the start frame and "pingpong" plays back and forth.
+         * @name PIXI.animate.AnimatorTimeline#loopMode
+         * @type {String}
+         * @readOnly
+         */
+        this.loopMode = typeof loop === "string" ? loop : (loop ? "loop" : "none");
+
         /**
          * `true` if the timeline is suppose to loop.
          * @name PIXI.animate.AnimatorTimeline#loop
          * @type {Boolean}
          * @readOnly
          */
-        this.loop = loop;
+        this.loop = this.loopMode !== "none";
+
+        /**
+         * The number of times to repeat when looping, -1 repeats forever. When playing back
+         * and forth, each pass in either direction is a repeat.
+         * @name PIXI.animate.AnimatorTimeline#repeat
+         * @type {int}
+         * @readOnly
+         */
+        this.repeat = options.repeat === undefined ? -1 : options.repeat;
+
+        /**
+         * The time in seconds to hold the end frame before each repeat.
+         * @name PIXI.animate.AnimatorTimeline#repeatDelay
+         * @type {Number}
+         * @readOnly
+         */
+        this.repeatDelay = options.repeatDelay || 0;
 
         /**
          * Frame number of the starting farme.
@@ -63,7 +98,67 @@ class AnimatorTimeline {
          */
         this.callback = callback;
 
+        /**
+         * `true` if the timeline plays in reverse, from a start frame after the end frame.
+         * @name PIXI.animate.AnimatorTimeline#reverse
+         * @type {Boolean}
+         * @readOnly
+         */
+        this.reverse = start > end;
+
+        /**
+         * If the time scale of the instance was negative before playing.
+         * @name PIXI.animate.AnimatorTimeline#_wasReversed
+         * @type {Boolean}
+         * @private
+         */
+        this._wasReversed = false;
+
+        /**
+         * The number of times the timeline has repeated.
+         * @name PIXI.animate.AnimatorTimeline#_repeats
+         * @type {int}
+         * @private
+         */
+        this._repeats = 0;
+
+        /**
+         * The frames the current pass plays from and to, swapped on each
+         * pass when playing back and forth.
+         * @name PIXI.animate.AnimatorTimeline#_from
+         * @type {int}
+         * @private
+         */
+        this._from = start;
+
+        /**
+         * @name PIXI.animate.AnimatorTimeline#_to
+         * @type {int}
+         * @private
+         */
+        this._to = end;
+
+        /**
+         * The time in seconds left to hold the end frame before repeating.
+         * @name PIXI.animate.AnimatorTimeline#_wait
+         * @type {Number}
+         * @private
+         */
+        this._wait = 0;
+
+        /**
+         * The frame to hold while waiting to repeat.
+         * @name PIXI.animate.AnimatorTimeline#_hold
+         * @type {int}
+         * @private
+         */
+        this._hold = end;
+
         if (instance) {
+            // Play in the direction of the timeline
+            const timeScale = Math.abs(instance.timeScale);
+            this._wasReversed = instance.timeScale < 0;
+            instance.timeScale = this.reverse ? -timeScale : timeScale;
             instance.gotoAndStop(start);
             instance._beforeUpdate = this._update;
         }
@@ -75,6 +170,8 @@ class AnimatorTimeline {
      * @private
      */
     destroy() {
+        const timeScale = Math.abs(this.instance.timeScale);
+        this.instance.timeScale = this._wasReversed ? -timeScale : timeScale;
         this.instance._beforeUpdate = null;
         this.init(null, 0, 0, false, null);
         AnimatorTimeline._pool.push(this);
@@ -84,20 +181,52 @@ class AnimatorTimeline {
      * Is the animation complete
      * @method PIXI.animate.AnimatorTimeline#update
      * @param {PIXI.animate.MovieClip} instance
+     * @param {Number} time The time in seconds the instance is advancing by
      * @return {Function} Callback to do after updateTimeline
      * @private
      */
-    update(instance) {
+    update(instance, time) {
+        if (this._wait > 0) {
+            this._wait -= time * Math.abs(instance.timeScale);
+            if (this._wait > 0) {
+                // Hold the end frame until it's time to repeat
+                instance.currentFrame = this._hold;
+                instance._subFrame = 0;
+                instance._t = this._hold / instance.framerate;
+            } else {
+                this._repeatFrom(instance);
+            }
+            return;
+        }
         let completed;
-        if (instance.currentFrame >= this.end) {
+        const from = this._from;
+        const to = this._to;
+        // Can also loop around past the start of the instance
+        const ended = from > to ?
+            instance.currentFrame <= to || instance.currentFrame > from :
+            instance.currentFrame >= to || instance.currentFrame < from;
+        if (ended) {
 
             // In case we over-shoot the current frame becuase of low FPS
-            instance.currentFrame = this.end;
+            instance.currentFrame = to;
+            instance._subFrame = 0;
 
-            if (this.loop) {
+            if (this.loop && (this.repeat < 0 || this._repeats < this.repeat)) {
+                this._repeats++;
                 // Update timeline so we get actions at the end frame
                 instance._updateTimeline();
-                instance.gotoAndPlay(this.start);
+                if (this.loopMode === "pingpong") {
+                    this._from = to;
+                    this._to = from;
+                    instance.timeScale = -instance.timeScale;
+                }
+                if (this.repeatDelay > 0) {
+                    this._wait = this.repeatDelay;
+                    this._hold = to;
+                    instance._t = to / instance.framerate;
+                } else {
+                    this._repeatFrom(instance);
+                }
             } else {
                 instance.stop();
                 if (this.callback) {
@@ -109,6 +238,23 @@ class AnimatorTimeline {
         return completed;
     }
 
+    /**
+     * Play the next pass of the timeline.
+     * @method PIXI.animate.AnimatorTimeline#_repeatFrom
+     * @private
+     * @param {PIXI.animate.MovieClip} instance
+     */
+    _repeatFrom(instance) {
+        if (this.loopMode === "pingpong") {
+            // Turn around on the end frame without running its actions again
+            instance.currentFrame = this._from;
+            instance._t = this._from / instance.framerate;
+            instance.play();
+        } else {
+            instance.gotoAndPlay(this._from);
+        }
+    }
+
     /**
      * Stop the animation, cannot be reused.
      * @method PIXI.animate.AnimatorTimeline#stop
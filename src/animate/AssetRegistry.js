@@ -0,0 +1,241 @@
+import ShapesCache from './ShapesCache';
+import SymbolLoader from './SymbolLoader';
+
+// Map of asset id to the number of stages using it
+const counts = {};
+
+// Map of asset id to callbacks waiting for it to finish loading
+const pending = {};
+
+// Map of asset id to the loaded resource
+const resources = {};
+
+/**
+ * Keeps track of which loaded assets are shared between stages, so
+ * that assets are only fetched once and only removed when the last stage
+ * using them is unloaded.
+ * @memberof PIXI.animate
+ * @class AssetRegistry
+ * @private
+ */
+const AssetRegistry = {
+
+    /**
+     * Add a reference to each asset.
+     * @method PIXI.animate.AssetRegistry.retain
+     * @static
+     * @param {Object} assets Map of asset ids to paths
+     */
+    retain(assets) {
+        for (let id in assets) {
+            counts[id] = (counts[id] || 0) + 1;
+        }
+    },
+
+    /**
+     * Remove a reference to each asset, assets which are no longer
+     * referenced are removed from the caches and destroyed.
+     * @method PIXI.animate.AssetRegistry.release
+     * @static
+     * @param {Object} assets Map of asset ids to paths
+     */
+    release(assets) {
+        for (let id in assets) {
+            if (!counts[id]) {
+                continue;
+            }
+            if (--counts[id] === 0) {
+                delete counts[id];
+                this.destroy(id);
+            }
+        }
+    },
+
+    /**
+     * Get the number of stages using an asset.
+     * @method PIXI.animate.AssetRegistry.count
+     * @static
+     * @param {String} id The asset id
+     * @return {int} Number of references
+     */
+    count(id) {
+        return counts[id] || 0;
+    },
+
+    /**
+     * Get the loaded resource for an asset. Assets which were destroyed or removed
+     * from the caches without `PIXI.animate.unload` are no longer loaded.
+     * @method PIXI.animate.AssetRegistry.get
+     * @static
+     * @param {String} id The asset id
+     * @return {PIXI.loaders.Resource} The resource or null if not loaded
+     */
+    get(id) {
+        const resource = resources[id];
+        if (resource && isRemoved(id, resource)) {
+            this.destroy(id);
+            return null;
+        }
+        return resource || null;
+    },
+
+    /**
+     * Mark an asset as being fetched.
+     * @method PIXI.animate.AssetRegistry.start
+     * @static
+     * @param {String} id The asset id
+     */
+    start(id) {
+        pending[id] = [];
+    },
+
+    /**
+     * Check if an asset is being fetched.
+     * @method PIXI.animate.AssetRegistry.isPending
+     * @static
+     * @param {String} id The asset id
+     * @return {Boolean} If the asset is being fetched
+     */
+    isPending(id) {
+        return !!pending[id];
+    },
+
+    /**
+     * Wait for an asset which is being fetched.
+     * @method PIXI.animate.AssetRegistry.wait
+     * @static
+     * @param {String} id The asset id
+     * @param {Function} callback Called when finished, takes an error if the asset failed
+     */
+    wait(id, callback) {
+        pending[id].push(callback);
+    },
+
+    /**
+     * Stop waiting for an asset which is being fetched.
+     * @method PIXI.animate.AssetRegistry.unwait
+     * @static
+     * @param {String} id The asset id
+     * @param {Function} callback The callback passed to `wait`
+     */
+    unwait(id, callback) {
+        const callbacks = pending[id];
+        const index = callbacks ? callbacks.indexOf(callback) : -1;
+        if (index > -1) {
+            callbacks.splice(index, 1);
+        }
+    },
+
+    /**
+     * Check if anything is waiting for an asset which is being fetched.
+     * @method PIXI.animate.AssetRegistry.isWaiting
+     * @static
+     * @param {String} id The asset id
+     * @return {Boolean} If there are callbacks waiting
+     */
+    isWaiting(id) {
+        return !!pending[id] && pending[id].length > 0;
+    },
+
+    /**
+     * Finish fetching an asset and notify everything waiting for it.
+     * @method PIXI.animate.AssetRegistry.finish
+     * @static
+     * @param {String} id The asset id
+     * @param {PIXI.loaders.Resource} resource The loaded resource
+     * @param {Error} [error] The error if the asset failed to load
+     */
+    finish(id, resource, error) {
+        const callbacks = pending[id];
+        if (!callbacks) {
+            return;
+        }
+        delete pending[id];
+        if (!error) {
+            resources[id] = resource;
+            // Every stage using the asset was unloaded while it was being fetched
+            if (!counts[id]) {
+                this.destroy(id);
+            }
+        }
+        // Notify every waiting stage, even if one of the callbacks throws
+        let thrown = null;
+        for (let i = 0; i < callbacks.length; i++) {
+            try {
+                callbacks[i](error);
+            } catch (e) {
+                thrown = thrown || e;
+            }
+        }
+        if (thrown) {
+            throw thrown;
+        }
+    },
+
+    /**
+     * Remove the texture, atlas or shapes for an asset from the caches.
+     * @method PIXI.animate.AssetRegistry.destroy
+     * @static
+     * @param {String} id The asset id
+     */
+    destroy(id) {
+        const resource = resources[id];
+        delete resources[id];
+        if (resource && resource.textures) {
+            SymbolLoader.removeFrames(id);
+            for (let frame in resource.textures) {
+                resource.textures[frame].destroy();
+            }
+            // The atlas image is loaded as a separate resource
+            destroyTexture(id + '_image');
+        }
+        destroyTexture(id);
+        if (ShapesCache[id]) {
+            ShapesCache.remove(id);
+        }
+    }
+};
+
+/**
+ * Check if the texture, atlas or shapes of a loaded asset were destroyed or
+ * removed from the caches, for example by destroying a stage with its textures.
+ * @method isRemoved
+ * @private
+ * @param {String} id The asset id
+ * @param {PIXI.loaders.Resource} resource The loaded resource
+ * @return {Boolean} If the asset needs to be fetched again
+ */
+function isRemoved(id, resource) {
+    if (resource.textures) {
+        for (let frame in resource.textures) {
+            if (!resource.textures[frame].baseTexture) {
+                return true;
+            }
+        }
+        return false;
+    }
+    if (resource.texture) {
+        return PIXI.utils.TextureCache[id] !== resource.texture ||
+            !resource.texture.baseTexture;
+    }
+    if (/\.shapes\.(json|txt|bin)$/i.test(resource.url)) {
+        return !ShapesCache[id];
+    }
+    return false;
+}
+
+/**
+ * Remove a texture from the cache and destroy it.
+ * @method destroyTexture
+ * @private
+ * @param {String} id The texture cache id
+ */
+function destroyTexture(id) {
+    const texture = PIXI.utils.TextureCache[id];
+    if (texture) {
+        PIXI.Texture.removeFromCache(id);
+        texture.destroy(true);
+    }
+}
+
+export default AssetRegistry;
@@ -0,0 +1,242 @@
+// The default clock, created when first used
+let shared = null;
+
+/**
+ * Drives the playback of independent MovieClips, so a whole tree of clips, or a Scene,
+ * can be paused, slowed down or stepped together. Clips use the clock of the closest
+ * parent with one, see `PIXI.animate.MovieClip#clock`, or `PIXI.animate.Clock.shared`.
+ * ```
+ * const clock = new PIXI.animate.Clock();
+ * instance.clock = clock;
+ * clock.pause();
+ * clock.step(1);
+ * ```
+ * @memberof PIXI.animate
+ * @class Clock
+ * @constructor
+ * @param {PIXI.ticker.Ticker} [ticker=PIXI.ticker.shared] The ticker driving the clock
+ * @param {Boolean} [autoUpdate=true] If the clock is updated by the ticker, see
+ *        `PIXI.animate.Clock#autoUpdate`
+ */
+class Clock {
+
+    constructor(ticker, autoUpdate) {
+
+        /**
+         * The ticker driving the clock.
+         * @name PIXI.animate.Clock#ticker
+         * @type {PIXI.ticker.Ticker}
+         * @readOnly
+         */
+        this.ticker = ticker || PIXI.ticker.shared;
+
+        /**
+         * If true, the clips using the clock don't advance, except when stepping.
+         * @name PIXI.animate.Clock#paused
+         * @type Boolean
+         * @default false
+         */
+        this.paused = false;
+
+        /**
+         * The speed of the clock, 2 plays the clips at double speed and 0.5 at half speed.
+         * @name PIXI.animate.Clock#timeScale
+         * @type Number
+         * @default 1
+         */
+        this.timeScale = 1;
+
+        /**
+         * The independent clips using the clock.
+         * @name PIXI.animate.Clock#_clips
+         * @type {Array<PIXI.animate.MovieClip>}
+         * @private
+         */
+        this._clips = [];
+
+        /**
+         * If the clock is updated by the ticker.
+         * @name PIXI.animate.Clock#_autoUpdate
+         * @type Boolean
+         * @default true
+         * @private
+         */
+        this._autoUpdate = autoUpdate !== false;
+
+        // Only listen to the ticker while auto updating, so it isn't started for nothing
+        this._tickListener = this._tickListener.bind(this);
+        if (this._autoUpdate) {
+            this.ticker.add(this._tickListener);
+        }
+    }
+
+    /**
+     * If the clock is updated by the ticker. Set to false to only advance the clips by
+     * calling `update` or `step`, for example to render each frame for a video export.
+     * Turning this off for `PIXI.animate.Clock.shared` stops advancing all the clips
+     * without a clock of their own.
+     * ```
+     * PIXI.animate.Clock.shared.autoUpdate = false;
+     * PIXI.animate.Clock.shared.update(1 / 24);
+     * ```
+     * @name PIXI.animate.Clock#autoUpdate
+     * @type Boolean
+     * @default true
+     */
+    get autoUpdate() {
+        return this._autoUpdate;
+    }
+
+    set autoUpdate(autoUpdate) {
+        autoUpdate = !!autoUpdate;
+        if (this._autoUpdate === autoUpdate) {
+            return;
+        }
+        this._autoUpdate = autoUpdate;
+        if (!this.ticker) {
+            return;
+        }
+        if (autoUpdate) {
+            this.ticker.add(this._tickListener);
+        } else {
+            this.ticker.remove(this._tickListener);
+        }
+    }
+
+    /**
+     * The default clock, driven by the shared ticker.
+     * @name PIXI.animate.Clock.shared
+     * @type {PIXI.animate.Clock}
+     * @static
+     * @readOnly
+     */
+    static get shared() {
+        if (!shared) {
+            shared = new Clock(PIXI.ticker.shared);
+        }
+        return shared;
+    }
+
+    /**
+     * Stop advancing the clips.
+     * @method PIXI.animate.Clock#pause
+     */
+    pause() {
+        this.paused = true;
+    }
+
+    /**
+     * Continue advancing the clips.
+     * @method PIXI.animate.Clock#resume
+     */
+    resume() {
+        this.paused = false;
+    }
+
+    /**
+     * Advance each playing clip by a number of its frames, even if the clock is paused.
+     * @method PIXI.animate.Clock#step
+     * @param {int} [frames=1] The number of frames
+     */
+    step(frames) {
+        frames = frames === undefined ? 1 : frames;
+        const clips = this._clips.slice();
+        for (let i = 0; i < clips.length; i++) {
+            if (this._uses(clips[i])) {
+                clips[i]._tick(frames / clips[i].framerate);
+            }
+        }
+    }
+
+    /**
+     * Advance the playing clips by the time elapsed, scaled by the `timeScale`.
+     * Nothing happens when the clock is paused.
+     * @method PIXI.animate.Clock#update
+     * @param {Number} seconds The time elapsed in seconds
+     */
+    update(seconds) {
+        if (this.paused) {
+            return;
+        }
+        seconds *= this.timeScale;
+        // Clips can be added or removed by actions
+        const clips = this._clips.slice();
+        for (let i = 0; i < clips.length; i++) {
+            if (this._uses(clips[i])) {
+                clips[i]._tick(seconds);
+            }
+        }
+    }
+
+    /**
+     * Add a clip to advance.
+     * @method PIXI.animate.Clock#add
+     * @param {PIXI.animate.MovieClip} clip The independent clip
+     */
+    add(clip) {
+        if (this._clips.indexOf(clip) < 0) {
+            this._clips.push(clip);
+        }
+    }
+
+    /**
+     * Stop advancing a clip.
+     * @method PIXI.animate.Clock#remove
+     * @param {PIXI.animate.MovieClip} clip The independent clip
+     */
+    remove(clip) {
+        const index = this._clips.indexOf(clip);
+        if (index > -1) {
+            this._clips.splice(index, 1);
+        }
+    }
+
+    /**
+     * Check if a clip still uses this clock, or move it to the clock it uses. A clip
+     * in a container without a clock keeps the clock it was added with when the
+     * container is added to a parent with another clock, like the stage of a Scene.
+     * @method PIXI.animate.Clock#_uses
+     * @private
+     * @param {PIXI.animate.MovieClip} clip The independent clip
+     * @return {Boolean} If the clip uses this clock
+     */
+    _uses(clip) {
+        // Removed by an action of another clip
+        if (clip._activeClock !== this) {
+            return false;
+        }
+        const clock = clip.clock;
+        if (clock === this) {
+            return true;
+        }
+        clip._setActiveClock(clock);
+        return false;
+    }
+
+    /**
+     * Advance the clock each tick of the ticker.
+     * @method PIXI.animate.Clock#_tickListener
+     * @private
+     * @param {Number} tickerDeltaTime The frames elapsed at the target framerate of the ticker
+     */
+    _tickListener(tickerDeltaTime) {
+        this.update(tickerDeltaTime / this.ticker.speed / PIXI.settings.TARGET_FPMS / 1000);
+    }
+
+    /**
+     * Stop the clock, don't use after calling.
+     * @method PIXI.animate.Clock#destroy
+     */
+    destroy() {
+        if (this.ticker) {
+            this.ticker.remove(this._tickListener);
+            this.ticker = null;
+        }
+        this._clips.length = 0;
+        if (shared === this) {
+            shared = null;
+        }
+    }
+}
+
+export default Clock;
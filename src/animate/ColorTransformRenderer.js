@@ -0,0 +1,363 @@
+// Number of 32-bit values for each vertex: the position, the packed
+// texture coordinates, the packed multipliers and the offsets
+const VERTEX_SIZE = 8;
+
+// Vertices of the two triangles drawing each quad
+const QUAD_INDICES = [0, 1, 2, 0, 2, 3];
+
+const spriteVertexSrc = [
+    'precision highp float;',
+    'attribute vec2 aVertexPosition;',
+    'attribute vec2 aTextureCoord;',
+    'attribute vec4 aColor;',
+    'attribute vec4 aOffset;',
+    'uniform mat3 projectionMatrix;',
+    'varying vec2 vTextureCoord;',
+    'varying vec4 vColor;',
+    'varying vec4 vOffset;',
+    'void main(void){',
+    '    gl_Position = vec4((projectionMatrix * vec3(aVertexPosition, 1.0)).xy, 0.0, 1.0);',
+    '    vTextureCoord = aTextureCoord;',
+    '    vColor = aColor;',
+    '    vOffset = aOffset;',
+    '}'
+].join('\n');
+
+const spriteFragmentSrc = [
+    'varying vec2 vTextureCoord;',
+    'varying vec4 vColor;',
+    'varying vec4 vOffset;',
+    'uniform sampler2D uSampler;',
+    'uniform float uPremultiplied;',
+    'void main(void){',
+    '    vec4 color = texture2D(uSampler, vTextureCoord);',
+    '    if (uPremultiplied > 0.5 && color.a > 0.0) {',
+    '        color.rgb /= color.a;',
+    '    }',
+    '    color = clamp(color * vColor + vOffset, 0.0, 1.0);',
+    '    gl_FragColor = vec4(color.rgb * color.a, color.a);',
+    '}'
+].join('\n');
+
+// Same as the PIXI.Graphics shader, with the offsets added to the color
+const graphicsVertexSrc = [
+    'attribute vec2 aVertexPosition;',
+    'attribute vec4 aColor;',
+    'uniform mat3 translationMatrix;',
+    'uniform mat3 projectionMatrix;',
+    'uniform float alpha;',
+    'uniform vec3 tint;',
+    'varying vec4 vColor;',
+    'void main(void){',
+    '    gl_Position = vec4((projectionMatrix * translationMatrix * vec3(aVertexPosition, 1.0)).xy, 0.0, 1.0);',
+    '    vColor = aColor * vec4(tint * alpha, alpha);',
+    '}'
+].join('\n');
+
+const graphicsFragmentSrc = [
+    'varying vec4 vColor;',
+    'uniform vec4 offset;',
+    'void main(void){',
+    '    vec4 color = vColor;',
+    '    if (color.a > 0.0) {',
+    '        color.rgb /= color.a;',
+    '    }',
+    '    color = clamp(color + offset, 0.0, 1.0);',
+    '    gl_FragColor = vec4(color.rgb * color.a, color.a);',
+    '}'
+].join('\n');
+
+/**
+ * WebGL renderer plugin which draws sprites and graphics with the additive values of
+ * color transforms, see `PIXI.DisplayObject#setColorTransform`. Sprites are batched like
+ * the sprite renderer batches tints, so color transforms with offsets don't need a filter.
+ * Registered as a plugin of `PIXI.WebGLRenderer`, see `PLUGIN_NAME`.
+ * @memberof PIXI.animate
+ * @class ColorTransformRenderer
+ * @extends PIXI.ObjectRenderer
+ * @constructor
+ * @param {PIXI.WebGLRenderer} renderer The renderer this plugin works for
+ */
+class ColorTransformRenderer extends PIXI.ObjectRenderer {
+
+    constructor(renderer) {
+        super(renderer);
+
+        /**
+         * The number of sprites drawn in one batch.
+         * @name PIXI.animate.ColorTransformRenderer#size
+         * @type {int}
+         */
+        this.size = PIXI.settings.SPRITE_BATCH_SIZE;
+
+        /**
+         * The sprites waiting to be drawn.
+         * @name PIXI.animate.ColorTransformRenderer#sprites
+         * @type {Array<PIXI.Sprite>}
+         * @private
+         */
+        this.sprites = [];
+
+        /**
+         * The number of sprites waiting to be drawn.
+         * @name PIXI.animate.ColorTransformRenderer#currentIndex
+         * @type {int}
+         * @private
+         */
+        this.currentIndex = 0;
+
+        const vertices = new ArrayBuffer(this.size * 4 * VERTEX_SIZE * 4);
+
+        /**
+         * The vertices of the batch, as floats.
+         * @name PIXI.animate.ColorTransformRenderer#float32View
+         * @type {Float32Array}
+         * @private
+         */
+        this.float32View = new Float32Array(vertices);
+
+        /**
+         * The vertices of the batch, as packed values.
+         * @name PIXI.animate.ColorTransformRenderer#uint32View
+         * @type {Uint32Array}
+         * @private
+         */
+        this.uint32View = new Uint32Array(vertices);
+
+        /**
+         * The indices of the two triangles of each sprite.
+         * @name PIXI.animate.ColorTransformRenderer#indices
+         * @type {Uint16Array}
+         * @private
+         */
+        this.indices = new Uint16Array(this.size * 6);
+        for (let i = 0; i < this.size; i++) {
+            for (let j = 0; j < 6; j++) {
+                this.indices[i * 6 + j] = i * 4 + QUAD_INDICES[j];
+            }
+        }
+
+        /**
+         * The shader drawing sprites.
+         * @name PIXI.animate.ColorTransformRenderer#shader
+         * @type {PIXI.Shader}
+         * @private
+         */
+        this.shader = null;
+
+        /**
+         * The shader drawing graphics, see `renderGraphics`.
+         * @name PIXI.animate.ColorTransformRenderer#graphicsShader
+         * @type {PIXI.Shader}
+         * @private
+         */
+        this.graphicsShader = null;
+
+        this.vertexBuffer = null;
+        this.indexBuffer = null;
+        this.vao = null;
+    }
+
+    /**
+     * Create the shaders and buffers for the WebGL context.
+     * @method PIXI.animate.ColorTransformRenderer#onContextChange
+     * @private
+     */
+    onContextChange() {
+        const renderer = this.renderer;
+        const gl = renderer.gl;
+        const stride = VERTEX_SIZE * 4;
+
+        this.shader = new PIXI.Shader(gl, spriteVertexSrc, spriteFragmentSrc);
+        this.indexBuffer = PIXI.glCore.GLBuffer.createIndexBuffer(gl, this.indices, gl.STATIC_DRAW);
+        this.vertexBuffer = PIXI.glCore.GLBuffer.createVertexBuffer(gl, null, gl.STREAM_DRAW);
+
+        const attrs = this.shader.attributes;
+        renderer.bindVao(null);
+        this.vao = renderer.createVao()
+            .addIndex(this.indexBuffer)
+            .addAttribute(this.vertexBuffer, attrs.aVertexPosition, gl.FLOAT, false, stride, 0)
+            .addAttribute(this.vertexBuffer, attrs.aTextureCoord, gl.UNSIGNED_SHORT, true, stride, 2 * 4)
+            .addAttribute(this.vertexBuffer, attrs.aColor, gl.UNSIGNED_BYTE, true, stride, 3 * 4)
+            .addAttribute(this.vertexBuffer, attrs.aOffset, gl.FLOAT, false, stride, 4 * 4);
+
+        // Graphics are drawn with their own vertex arrays, which
+        // use the attribute locations of the graphics shader
+        const primitiveAttrs = renderer.plugins.graphics.primitiveShader.attributes;
+        this.graphicsShader = new PIXI.Shader(gl, graphicsVertexSrc, graphicsFragmentSrc, {
+            aVertexPosition: primitiveAttrs.aVertexPosition.location,
+            aColor: primitiveAttrs.aColor.location
+        });
+    }
+
+    /**
+     * Bind the sprite shader before rendering sprites.
+     * @method PIXI.animate.ColorTransformRenderer#start
+     * @private
+     */
+    start() {
+        this.renderer.bindShader(this.shader);
+    }
+
+    /**
+     * Draw the sprites waiting in the batch before another renderer is used.
+     * @method PIXI.animate.ColorTransformRenderer#stop
+     * @private
+     */
+    stop() {
+        this.flush();
+    }
+
+    /**
+     * Add a sprite with a color offset to the batch.
+     * @method PIXI.animate.ColorTransformRenderer#render
+     * @param {PIXI.Sprite} sprite The sprite, with its vertices calculated
+     */
+    render(sprite) {
+        if (this.currentIndex >= this.size) {
+            this.flush();
+        }
+        // The texture hasn't loaded yet
+        if (!sprite._texture._uvs) {
+            return;
+        }
+        this.sprites[this.currentIndex++] = sprite;
+    }
+
+    /**
+     * Draw the sprites in the batch, in groups of the same texture and blend mode.
+     * @method PIXI.animate.ColorTransformRenderer#flush
+     * @private
+     */
+    flush() {
+        const count = this.currentIndex;
+        if (!count) {
+            return;
+        }
+        const renderer = this.renderer;
+        const gl = renderer.gl;
+        const sprites = this.sprites;
+        const float32View = this.float32View;
+        const uint32View = this.uint32View;
+
+        for (let i = 0; i < count; i++) {
+            const sprite = sprites[i];
+            const vertexData = sprite.vertexData;
+            const uvs = sprite._texture._uvs.uvsUint32;
+            const tint = sprite._getWorldTint(sprite._tint);
+            const alpha = Math.min(sprite.worldAlpha, 1);
+            const color = (((alpha * 255) & 0xff) << 24 >>> 0) +
+                ((tint & 0xff) << 16) + (tint & 0xff00) + (tint >> 16 & 0xff);
+            const offset = sprite._worldOffset;
+
+            for (let j = 0, index = i * 4 * VERTEX_SIZE; j < 4; j++, index += VERTEX_SIZE) {
+                float32View[index] = vertexData[j * 2];
+                float32View[index + 1] = vertexData[j * 2 + 1];
+                uint32View[index + 2] = uvs[j];
+                uint32View[index + 3] = color;
+                float32View[index + 4] = offset[0];
+                float32View[index + 5] = offset[1];
+                float32View[index + 6] = offset[2];
+                float32View[index + 7] = offset[3];
+            }
+        }
+
+        renderer.bindShader(this.shader);
+        renderer.bindVao(this.vao);
+        this.vertexBuffer.upload(float32View.subarray(0, count * 4 * VERTEX_SIZE), 0, false);
+
+        // Draw each run of sprites with the same texture and blend mode
+        let start = 0;
+        for (let i = 1; i <= count; i++) {
+            const baseTexture = sprites[start]._texture.baseTexture;
+            const blendMode = sprites[start].blendMode;
+            if (i < count && sprites[i]._texture.baseTexture === baseTexture &&
+                sprites[i].blendMode === blendMode) {
+                continue;
+            }
+            renderer.bindTexture(baseTexture, 0, true);
+            this.shader.uniforms.uPremultiplied = baseTexture.premultipliedAlpha ? 1 : 0;
+            // The shader outputs premultiplied colors
+            renderer.state.setBlendMode(PIXI.utils.correctBlendMode(blendMode, true));
+            gl.drawElements(gl.TRIANGLES, (i - start) * 6, gl.UNSIGNED_SHORT, start * 6 * 2);
+            start = i;
+        }
+
+        for (let i = 0; i < count; i++) {
+            sprites[i] = null;
+        }
+        this.currentIndex = 0;
+    }
+
+    /**
+     * Draw graphics with a color offset, with the graphics renderer and a shader
+     * which adds the offset.
+     * @method PIXI.animate.ColorTransformRenderer#renderGraphics
+     * @param {PIXI.Graphics} graphics The graphics
+     */
+    renderGraphics(graphics) {
+        const renderer = this.renderer;
+        const graphicsRenderer = renderer.plugins.graphics;
+        renderer.setObjectRenderer(graphicsRenderer);
+
+        // Build the geometry so its shaders can be replaced
+        let webGL = graphics._webGL[graphicsRenderer.CONTEXT_UID];
+        if (!webGL || graphics.dirty !== webGL.dirty) {
+            graphicsRenderer.updateGraphics(graphics);
+            webGL = graphics._webGL[graphicsRenderer.CONTEXT_UID];
+        }
+
+        const shader = this.graphicsShader;
+        renderer.bindShader(shader);
+        shader.uniforms.offset = graphics._worldOffset;
+
+        const data = webGL.data;
+        for (let i = 0; i < data.length; i++) {
+            data[i].shader = shader;
+        }
+        graphicsRenderer.render(graphics);
+        for (let i = 0; i < data.length; i++) {
+            data[i].shader = graphicsRenderer.primitiveShader;
+        }
+    }
+
+    /**
+     * Destroy the plugin, don't use after calling.
+     * @method PIXI.animate.ColorTransformRenderer#destroy
+     */
+    destroy() {
+        if (this.vao) {
+            this.vao.destroy();
+            this.vertexBuffer.destroy();
+            this.indexBuffer.destroy();
+            this.shader.destroy();
+            this.graphicsShader.destroy();
+        }
+        super.destroy();
+        this.vao = null;
+        this.vertexBuffer = null;
+        this.indexBuffer = null;
+        this.shader = null;
+        this.graphicsShader = null;
+        this.sprites = null;
+        this.float32View = null;
+        this.uint32View = null;
+        this.indices = null;
+    }
+}
+
+/**
+ * The name of the plugin in `PIXI.WebGLRenderer#plugins`.
+ * @name PIXI.animate.ColorTransformRenderer.PLUGIN_NAME
+ * @type {String}
+ * @static
+ * @readOnly
+ * @default "colorTransform"
+ */
+ColorTransformRenderer.PLUGIN_NAME = 'colorTransform';
+
+if (PIXI.WebGLRenderer) {
+    PIXI.WebGLRenderer.registerPlugin(ColorTransformRenderer.PLUGIN_NAME, ColorTransformRenderer);
+}
+
+export default ColorTransformRenderer;
@@ -0,0 +1,149 @@
+/**
+ * Easing functions for tweens, matching the eases in Animate. Eases can
+ * also be described by a serialized value, see `PIXI.animate.Ease.get`.
+ * @memberof PIXI.animate
+ * @class Ease
+ */
+class Ease {
+
+    /**
+     * Get an easing function from its serialized value.
+     * ```
+     * Ease.get(-50); // classic ease in
+     * Ease.get([0.25, 0.1, 0.25, 1]); // cubic-bezier
+     * Ease.get([0, 0, 0.2, 0, 0.3, 0.6, 0.5, 0.6, 0.7, 0.6, 0.8, 1, 1, 1]); // custom curve
+     * ```
+     * @method PIXI.animate.Ease.get
+     * @static
+     * @param {Number|Array<Number>|Function} ease The classic ease strength from -100 to 100,
+     *        the control points of a cubic-bezier, the points of a custom curve or an
+     *        easing function, which is returned as is.
+     * @return {Function} The easing function, null if there's no ease
+     */
+    static get(ease) {
+        if (typeof ease === "function") {
+            return ease;
+        }
+        if (typeof ease === "number") {
+            return ease ? this.classic(ease) : null;
+        }
+        if (Array.isArray(ease)) {
+            if (ease.length === 4) {
+                return this.cubicBezier(ease[0], ease[1], ease[2], ease[3]);
+            }
+            return this.custom(ease);
+        }
+        return null;
+    }
+
+    /**
+     * The classic ease from the properties of a tween in Animate.
+     * @method PIXI.animate.Ease.classic
+     * @static
+     * @param {Number} strength From -100 (ease in) to 100 (ease out)
+     * @return {Function} The easing function
+     */
+    static classic(strength) {
+        const amount = Math.max(-1, Math.min(1, strength / 100));
+        if (amount < 0) {
+            return function(t) {
+                return t * (t * -amount + 1 + amount);
+            };
+        }
+        return function(t) {
+            return t * ((2 - t) * amount + (1 - amount));
+        };
+    }
+
+    /**
+     * A cubic-bezier ease, like the CSS `cubic-bezier()` timing function.
+     * @method PIXI.animate.Ease.cubicBezier
+     * @static
+     * @param {Number} x1 The x position of the first control point, from 0 to 1
+     * @param {Number} y1 The y position of the first control point
+     * @param {Number} x2 The x position of the second control point, from 0 to 1
+     * @param {Number} y2 The y position of the second control point
+     * @return {Function} The easing function
+     */
+    static cubicBezier(x1, y1, x2, y2) {
+        return this.custom([0, 0, x1, y1, x2, y2, 1, 1]);
+    }
+
+    /**
+     * A custom ease curve from the ease editor in Animate, made of cubic bezier
+     * segments. The points are the start of the curve, followed by the two control
+     * points and end point of each segment. The curve starts at x 0 and ends at
+     * x 1, the x positions of the points on the curve must increase.
+     * @method PIXI.animate.Ease.custom
+     * @static
+     * @param {Array<Number>} points The x and y positions of the points
+     * @return {Function} The easing function
+     */
+    static custom(points) {
+        if (points.length < 8 || (points.length - 2) % 6) {
+            throw new Error("Invalid custom ease, expected 8 + 6n values");
+        }
+        points = points.slice();
+        return function(t) {
+            if (t <= 0 || t >= 1) {
+                return t;
+            }
+            // Find the segment containing t
+            let i = 0;
+            while (i < points.length - 8 && t > points[i + 6]) {
+                i += 6;
+            }
+            const s = solveBezier(points[i], points[i + 2], points[i + 4], points[i + 6], t);
+            return bezier(points[i + 1], points[i + 3], points[i + 5], points[i + 7], s);
+        };
+    }
+}
+
+/**
+ * Get a value on a cubic bezier.
+ * @method bezier
+ * @private
+ * @param {Number} p0 The start
+ * @param {Number} p1 The first control point
+ * @param {Number} p2 The second control point
+ * @param {Number} p3 The end
+ * @param {Number} s The position on the curve, from 0 to 1
+ * @return {Number} The value
+ */
+function bezier(p0, p1, p2, p3, s) {
+    const u = 1 - s;
+    return u * u * u * p0 + 3 * u * u * s * p1 + 3 * u * s * s * p2 + s * s * s * p3;
+}
+
+/**
+ * Find the position on a cubic bezier with a value, the bezier must
+ * be increasing from the start to the end.
+ * @method solveBezier
+ * @private
+ * @param {Number} p0 The start
+ * @param {Number} p1 The first control point
+ * @param {Number} p2 The second control point
+ * @param {Number} p3 The end
+ * @param {Number} value The value to find
+ * @return {Number} The position on the curve, from 0 to 1
+ */
+function solveBezier(p0, p1, p2, p3, value) {
+    let min = 0;
+    let max = 1;
+    let s = p3 > p0 ? (value - p0) / (p3 - p0) : 0.5;
+    for (let i = 0; i < 20; i++) {
+        const diff = bezier(p0, p1, p2, p3, s) - value;
+        if (Math.abs(diff) < 1e-6) {
+            break;
+        }
+        if (diff > 0) {
+            max = s;
+        } else {
+            min = s;
+        }
+        s = (min + max) / 2;
+    }
+    return s;
+}
+
+export default Ease;
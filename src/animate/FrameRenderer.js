@@ -0,0 +1,118 @@
+/**
+ * Draws the frames of a stage with a canvas renderer which doesn't need to be added
+ * to the page. Used to export frames, see `PIXI.animate.exportFrames`, and by the
+ * render tests to compare frames with their solutions.
+ * ```
+ * const frames = new PIXI.animate.FrameRenderer(400, 300);
+ * frames.setInstance(instance);
+ * instance.gotoAndStop(10);
+ * frames.render();
+ * const png = frames.getData('png');
+ * ```
+ * @memberof PIXI.animate
+ * @class FrameRenderer
+ * @constructor
+ * @param {int} width Width of the frames
+ * @param {int} height Height of the frames
+ * @param {Object} [options] The options of the `PIXI.CanvasRenderer`, like
+ *        `backgroundColor`, `transparent`, `resolution` or the `view` to draw in
+ */
+class FrameRenderer {
+
+    constructor(width, height, options) {
+
+        /**
+         * The renderer drawing the frames.
+         * @name PIXI.animate.FrameRenderer#renderer
+         * @type {PIXI.CanvasRenderer}
+         * @readOnly
+         */
+        this.renderer = new PIXI.CanvasRenderer(width, height, options);
+
+        /**
+         * The container of the instance, which is drawn.
+         * @name PIXI.animate.FrameRenderer#stage
+         * @type {PIXI.Container}
+         * @readOnly
+         */
+        this.stage = new PIXI.Container();
+
+        /**
+         * The instance of the stage being drawn.
+         * @name PIXI.animate.FrameRenderer#instance
+         * @type {PIXI.animate.MovieClip}
+         * @readOnly
+         */
+        this.instance = null;
+    }
+
+    /**
+     * Set the instance to draw, destroying the previous instance.
+     * @method PIXI.animate.FrameRenderer#setInstance
+     * @param {PIXI.animate.MovieClip} instance The instance of the stage
+     */
+    setInstance(instance) {
+        this.clear();
+        this.instance = instance;
+        this.stage.addChild(instance);
+    }
+
+    /**
+     * Draw the current frame.
+     * @method PIXI.animate.FrameRenderer#render
+     */
+    render() {
+        this.renderer.render(this.stage);
+    }
+
+    /**
+     * Get the image drawn.
+     * @method PIXI.animate.FrameRenderer#getData
+     * @param {String} [format='png'] "png" for the bytes of a PNG file, "pixels" for the
+     *        RGBA values of each pixel, or "url" for the data URL of a PNG file
+     * @return {Uint8Array|Uint8ClampedArray|String} The image data
+     */
+    getData(format) {
+        const view = this.renderer.view;
+        if (format === 'pixels') {
+            return this.renderer.rootContext.getImageData(0, 0, view.width, view.height).data;
+        }
+        const url = view.toDataURL('image/png');
+        if (format === 'url') {
+            return url;
+        }
+        const binary = atob(url.slice(url.indexOf(',') + 1));
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    /**
+     * Remove and destroy the instance.
+     * @method PIXI.animate.FrameRenderer#clear
+     */
+    clear() {
+        this.stage.removeChildren();
+        if (this.instance) {
+            this.instance.destroy(true);
+            this.instance = null;
+        }
+    }
+
+    /**
+     * Destroy the instance and the renderer, don't use after calling.
+     * @method PIXI.animate.FrameRenderer#destroy
+     * @param {Boolean} [removeView=false] Remove the view of the renderer from the page
+     */
+    destroy(removeView) {
+        this.clear();
+        this.stage.destroy();
+        this.stage = null;
+        this.renderer.destroy(removeView);
+        this.renderer = null;
+    }
+}
+
+export default FrameRenderer;
@@ -0,0 +1,213 @@
+// Number of samples to measure the length of each curve
+const CURVE_SAMPLES = 16;
+
+/**
+ * A motion guide path for tweens, made of lines and bezier curves.
+ * Positions along the path are by distance, so objects move along
+ * the path at an even speed.
+ * @memberof PIXI.animate
+ * @class MotionPath
+ * @private
+ * @constructor
+ * @param {Array} commands The path as draw commands, like shapes in the `ShapesCache`,
+ *        using "m" (moveTo), "l" (lineTo), "q" (quadraticCurveTo), "b" (bezierCurveTo)
+ *        and "c" (closePath), e.g. `["m", 0, 0, "q", 50, -50, 100, 0]`
+ */
+class MotionPath {
+
+    constructor(commands) {
+
+        /**
+         * The lines and curves of the path
+         * @name PIXI.animate.MotionPath#segments
+         * @type {Array<Object>}
+         */
+        this.segments = [];
+
+        /**
+         * The length of the path
+         * @name PIXI.animate.MotionPath#length
+         * @type {Number}
+         */
+        this.length = 0;
+
+        /**
+         * The start of the path
+         * @name PIXI.animate.MotionPath#start
+         * @type {PIXI.Point}
+         */
+        this.start = new PIXI.Point();
+
+        let x = 0, y = 0;
+        let startX = 0, startY = 0;
+        let started = false;
+        let i = 0;
+        while (i < commands.length) {
+            const command = commands[i++];
+            const args = [];
+            while (i < commands.length && typeof commands[i] === "number") {
+                args.push(commands[i++]);
+            }
+            switch (command) {
+                case "m":
+                    x = startX = args[0];
+                    y = startY = args[1];
+                    break;
+                case "l":
+                    this._addSegment([x, y, args[0], args[1]]);
+                    break;
+                case "q":
+                    this._addSegment([x, y, args[0], args[1], args[2], args[3]]);
+                    break;
+                case "b":
+                    this._addSegment([x, y, args[0], args[1], args[2], args[3], args[4], args[5]]);
+                    break;
+                case "c":
+                    this._addSegment([x, y, startX, startY]);
+                    break;
+                default:
+                    throw new Error("Unsupported motion path command '" + command + "'");
+            }
+            if (!started) {
+                this.start.set(x, y);
+                started = true;
+            }
+            const segment = this.segments[this.segments.length - 1];
+            if (segment && command !== "m") {
+                x = segment.points[segment.points.length - 2];
+                y = segment.points[segment.points.length - 1];
+            }
+        }
+    }
+
+    /**
+     * Add a line or curve to the path and measure it.
+     * @method PIXI.animate.MotionPath#_addSegment
+     * @private
+     * @param {Array<Number>} points The start, control points and end
+     */
+    _addSegment(points) {
+        const lengths = [0];
+        if (points.length === 4) {
+            lengths.push(Math.sqrt(
+                (points[2] - points[0]) * (points[2] - points[0]) +
+                (points[3] - points[1]) * (points[3] - points[1])
+            ));
+        } else {
+            let prevX = points[0];
+            let prevY = points[1];
+            const point = new PIXI.Point();
+            for (let i = 1; i <= CURVE_SAMPLES; i++) {
+                getCurvePoint(points, i / CURVE_SAMPLES, point);
+                const dx = point.x - prevX;
+                const dy = point.y - prevY;
+                lengths.push(lengths[i - 1] + Math.sqrt(dx * dx + dy * dy));
+                prevX = point.x;
+                prevY = point.y;
+            }
+        }
+        const length = lengths[lengths.length - 1];
+        this.segments.push({
+            points: points,
+            lengths: lengths,
+            length: length
+        });
+        this.length += length;
+    }
+
+    /**
+     * Get the position and direction at a distance along the path.
+     * @method PIXI.animate.MotionPath#getPoint
+     * @param {Number} t The distance along the path, from 0 to 1
+     * @param {Object} [out] The object to set `x`, `y` and `angle` (in radians) on
+     * @return {Object} The position and direction
+     */
+    getPoint(t, out) {
+        out = out || {};
+        const segments = this.segments;
+        if (!segments.length) {
+            out.x = this.start.x;
+            out.y = this.start.y;
+            out.angle = 0;
+            return out;
+        }
+        // Find the segment at the distance
+        let distance = Math.max(0, Math.min(1, t)) * this.length;
+        let index = 0;
+        while (index < segments.length - 1 && distance > segments[index].length) {
+            distance -= segments[index].length;
+            index++;
+        }
+        const segment = segments[index];
+        const lengths = segment.lengths;
+        // Find the position on the segment at the distance
+        let s = 0;
+        if (segment.length > 0) {
+            let i = 1;
+            while (i < lengths.length - 1 && distance > lengths[i]) {
+                i++;
+            }
+            const range = lengths[i] - lengths[i - 1];
+            const fraction = range > 0 ? (distance - lengths[i - 1]) / range : 0;
+            s = Math.min(1, (i - 1 + fraction) / (lengths.length - 1));
+        }
+        const points = segment.points;
+        if (points.length === 4) {
+            out.x = points[0] + (points[2] - points[0]) * s;
+            out.y = points[1] + (points[3] - points[1]) * s;
+            out.angle = Math.atan2(points[3] - points[1], points[2] - points[0]);
+        } else {
+            getCurvePoint(points, s, out);
+            out.angle = getCurveAngle(points, s);
+        }
+        return out;
+    }
+}
+
+/**
+ * Get a point on a quadratic or cubic bezier.
+ * @method getCurvePoint
+ * @private
+ * @param {Array<Number>} p The start, control points and end
+ * @param {Number} s The position on the curve, from 0 to 1
+ * @param {Object} out The object to set `x` and `y` on
+ */
+function getCurvePoint(p, s, out) {
+    const u = 1 - s;
+    if (p.length === 6) {
+        out.x = u * u * p[0] + 2 * u * s * p[2] + s * s * p[4];
+        out.y = u * u * p[1] + 2 * u * s * p[3] + s * s * p[5];
+    } else {
+        out.x = u * u * u * p[0] + 3 * u * u * s * p[2] + 3 * u * s * s * p[4] + s * s * s * p[6];
+        out.y = u * u * u * p[1] + 3 * u * u * s * p[3] + 3 * u * s * s * p[5] + s * s * s * p[7];
+    }
+}
+
+/**
+ * Get the direction of a quadratic or cubic bezier.
+ * @method getCurveAngle
+ * @private
+ * @param {Array<Number>} p The start, control points and end
+ * @param {Number} s The position on the curve, from 0 to 1
+ * @return {Number} The angle in radians
+ */
+function getCurveAngle(p, s) {
+    const u = 1 - s;
+    let dx, dy;
+    if (p.length === 6) {
+        dx = 2 * u * (p[2] - p[0]) + 2 * s * (p[4] - p[2]);
+        dy = 2 * u * (p[3] - p[1]) + 2 * s * (p[5] - p[3]);
+    } else {
+        dx = 3 * u * u * (p[2] - p[0]) + 6 * u * s * (p[4] - p[2]) + 3 * s * s * (p[6] - p[4]);
+        dy = 3 * u * u * (p[3] - p[1]) + 6 * u * s * (p[5] - p[3]) + 3 * s * s * (p[7] - p[5]);
+    }
+    if (!dx && !dy) {
+        // The control point is on the end, use the direction to the other end
+        const last = p.length - 2;
+        dx = p[last] - p[0];
+        dy = p[last + 1] - p[1];
+    }
+    return Math.atan2(dy, dx);
+}
+
+export default MotionPath;
@@ -1,8 +1,11 @@
+import Clock from './Clock';
 import Timeline from './Timeline';
 import utils from './utils';
 
 const Container = PIXI.Container;
-const SharedTicker = PIXI.ticker.shared;
+
+// The options of the seek in progress, if any
+let seeking = null;
 
 /**
  * Provide timeline playback of movieclip
@@ -13,10 +16,15 @@ const SharedTicker = PIXI.ticker.shared;
  * @param {Object|int} [options] The options object or the mode to play
  * @param {int} [options.mode=0] The playback mode default is independent (0),
  * @param {int} [options.startPosition=0] The starting frame
- * @param {Boolean} [options.loop=true] If playback is looped
+ * @param {Boolean|String} [options.loop=true] If playback is looped, or the loop mode,
+ *        see `PIXI.animate.MovieClip#loopMode`
+ * @param {int} [options.repeat=-1] The number of times to repeat when looping, -1 repeats forever
+ * @param {Number} [options.repeatDelay=0] The time in seconds to wait between repeats
  * @param {Object} [options.labels] The frame labels map of label to frames
  * @param {int} [options.duration] The duration, if no duration is provided, auto determines length
  * @param {int} [options.framerate=24] The framerate to use for independent mode
+ * @param {Boolean} [options.interpolate=false] If tweens are updated between frames,
+ *        see `PIXI.animate.MovieClip#interpolate`
  */
 class MovieClip extends Container {
     constructor(options, duration, loop, framerate, labels) {
@@ -33,7 +41,9 @@ class MovieClip extends Container {
                 loop: loop === undefined ? true : loop,
                 labels: labels || {},
                 framerate: framerate || 0,
-                startPosition: 0
+                startPosition: 0,
+                repeat: -1,
+                repeatDelay: 0
             };
         } else {
             // Apply defaults to options
@@ -43,7 +53,10 @@ class MovieClip extends Container {
                 loop: true,
                 labels: {},
                 duration: 0,
-                framerate: 0
+                framerate: 0,
+                interpolate: false,
+                repeat: -1,
+                repeatDelay: 0
             }, options);
         }
 
@@ -65,12 +78,52 @@ class MovieClip extends Container {
         this.startPosition = options.startPosition;
 
         /**
-         * Indicates whether this MovieClip should loop when it reaches the end of its timeline.
-         * @name PIXI.animate.MovieClip#loop
+         * How playback continues when it reaches the end of its timeline: "none" stops at the
+         * end, "loop" starts again from the start and "pingpong" plays back and forth.
+         * @name PIXI.animate.MovieClip#loopMode
+         * @type String
+         * @default "loop"
+         */
+        this.loopMode = "loop";
+        this.loop = options.loop;
+
+        /**
+         * The number of times playback repeats when looping, after which it stops at the end.
+         * When playing back and forth, each pass in either direction is a repeat. -1 repeats
+         * forever.
+         * @name PIXI.animate.MovieClip#repeat
+         * @type int
+         * @default -1
+         */
+        this.repeat = options.repeat;
+
+        /**
+         * The time in seconds to hold the end of the timeline before each repeat.
+         * @name PIXI.animate.MovieClip#repeatDelay
+         * @type Number
+         * @default 0
+         */
+        this.repeatDelay = options.repeatDelay;
+
+        /**
+         * If true, tweens are updated at the exact time between frames, for smooth playback
+         * when the display refreshes faster than the framerate. Actions and adding or removing
+         * timed children still happen on whole frames. Synched children are updated between
+         * frames along with their parent.
+         * @name PIXI.animate.MovieClip#interpolate
          * @type Boolean
-         * @default true
+         * @default false
+         */
+        this.interpolate = !!options.interpolate;
+
+        /**
+         * The speed of playback, 2 plays at double speed and 0.5 at half speed. Negative values
+         * play in reverse, with actions on each frame run in reverse order.
+         * @name PIXI.animate.MovieClip#timeScale
+         * @type Number
+         * @default 1
          */
-        this.loop = !!options.loop;
+        this.timeScale = 1;
 
         /**
          * The current frame of the movieclip.
@@ -155,6 +208,16 @@ class MovieClip extends Container {
          */
         this._synchOffset = 0;
 
+        /**
+         * The direction the parent plays a synched clip through its frames,
+         * 1 forward or -1 backward.
+         * @name PIXI.animate.MovieClip#_synchStep
+         * @type int
+         * @default 1
+         * @private
+         */
+        this._synchStep = 1;
+
         /**
          * @name PIXI.animate.MovieClip#_prevPos
          * @type Number
@@ -163,6 +226,69 @@ class MovieClip extends Container {
          */
         this._prevPos = -1; // TODO: evaluate using a ._reset Boolean prop instead of -1.
 
+        /**
+         * The time from the current frame to the next frame, from 0 to 1,
+         * when interpolating between frames.
+         * @name PIXI.animate.MovieClip#_subFrame
+         * @type Number
+         * @default 0
+         * @private
+         */
+        this._subFrame = 0;
+
+        /**
+         * @name PIXI.animate.MovieClip#_prevSubFrame
+         * @type Number
+         * @default 0
+         * @private
+         */
+        this._prevSubFrame = 0;
+
+        /**
+         * The number of times playback has repeated.
+         * @name PIXI.animate.MovieClip#_repeats
+         * @type int
+         * @default 0
+         * @private
+         */
+        this._repeats = 0;
+
+        /**
+         * The direction of playback when playing back and forth, 1 or -1.
+         * @name PIXI.animate.MovieClip#_direction
+         * @type int
+         * @default 1
+         * @private
+         */
+        this._direction = 1;
+
+        /**
+         * The time in seconds left to wait before repeating.
+         * @name PIXI.animate.MovieClip#_repeatWait
+         * @type Number
+         * @default 0
+         * @private
+         */
+        this._repeatWait = 0;
+
+        /**
+         * The elapsed time to repeat from after waiting.
+         * @name PIXI.animate.MovieClip#_repeatTime
+         * @type Number
+         * @default 0
+         * @private
+         */
+        this._repeatTime = 0;
+
+        /**
+         * If playback has completed, stopping at the end of the timeline.
+         * @name PIXI.animate.MovieClip#_completed
+         * @type Boolean
+         * @default false
+         * @private
+         */
+        this._completed = false;
+
         /**
          * Note - changed from default: When the MovieClip is framerate independent, this is the time
          * elapsed from frame 0 in seconds.
@@ -239,16 +365,31 @@ class MovieClip extends Container {
         this._actions = [];
 
         /**
-         * Optional callback fired before timeline is updated.
-         * Can be used to clamp or update the currentFrame.
+         * Optional callback fired before timeline is updated, takes the MovieClip and the
+         * time in seconds it's advancing by. Can be used to clamp or update the currentFrame.
          * @name PIXI.animate.MovieClip#_beforeUpdate
          * @type {Function}
          * @private
          */
         this._beforeUpdate = null;
 
+        /**
+         * The clock set for this clip and its children, see `PIXI.animate.MovieClip#clock`.
+         * @name PIXI.animate.MovieClip#_clock
+         * @type {PIXI.animate.Clock}
+         * @private
+         */
+        this._clock = null;
+
+        /**
+         * The clock advancing this clip, while it is on a parent.
+         * @name PIXI.animate.MovieClip#_activeClock
+         * @type {PIXI.animate.Clock}
+         * @private
+         */
+        this._activeClock = null;
+
         if (this.mode === MovieClip.INDEPENDENT) {
-            this._tickListener = this._tickListener.bind(this);
             this._onAdded = this._onAdded.bind(this);
             this._onRemoved = this._onRemoved.bind(this);
             this.on('added', this._onAdded);
@@ -271,10 +412,18 @@ class MovieClip extends Container {
         if (!this._framerate) {
             this.framerate = this.parentFramerate;
         }
-        SharedTicker.add(this._tickListener);
+        this._setActiveClock(this.clock);
+        // Nested clips use the clock of their new parents
+        updateClocks(this);
     }
 
-    _tickListener(tickerDeltaTime) {
+    /**
+     * Advance the clip if it's playing, called by its clock.
+     * @method PIXI.animate.MovieClip#_tick
+     * @private
+     * @param {Number} seconds The time elapsed in seconds
+     */
+    _tick(seconds) {
         if (this.paused || !this.selfAdvance) {
             //see if the movieclip needs to be updated even though it isn't animating
             if (this._prevPos < 0) {
@@ -282,12 +431,80 @@ class MovieClip extends Container {
             }
             return;
         }
-        let seconds = tickerDeltaTime / SharedTicker.speed / PIXI.settings.TARGET_FPMS / 1000;
         this.advance(seconds);
     }
 
     _onRemoved() {
-        SharedTicker.remove(this._tickListener);
+        this._setActiveClock(null);
+    }
+
+    /**
+     * Change the clock advancing this clip.
+     * @method PIXI.animate.MovieClip#_setActiveClock
+     * @private
+     * @param {PIXI.animate.Clock} clock The clock, or null to stop advancing
+     */
+    _setActiveClock(clock) {
+        if (this._activeClock === clock) {
+            return;
+        }
+        if (this._activeClock) {
+            this._activeClock.remove(this);
+        }
+        this._activeClock = clock;
+        if (clock) {
+            clock.add(this);
+        }
+    }
+
+    /**
+     * The clock which advances this clip and the nested independent clips, when they are
+     * playing. Clips use the clock of the closest parent with one, and by default use
+     * `PIXI.animate.Clock.shared`, which is driven by the shared ticker. Setting `null`
+     * uses the clock of the parents again.
+     * ```
+     * const clock = new PIXI.animate.Clock();
+     * instance.clock = clock;
+     * clock.timeScale = 0.5; // slow motion
+     * ```
+     * @name PIXI.animate.MovieClip#clock
+     * @type {PIXI.animate.Clock}
+     */
+    get clock() {
+        let o = this;
+        while (o) {
+            if (o._clock) {
+                return o._clock;
+            }
+            o = o.parent;
+        }
+        return Clock.shared;
+    }
+
+    set clock(clock) {
+        this._clock = clock || null;
+        if (this._activeClock) {
+            this._setActiveClock(this.clock);
+        }
+        updateClocks(this);
+    }
+
+    /**
+     * Indicates whether this MovieClip should loop when it reaches the end of its timeline.
+     * Can be set to a loop mode, see `PIXI.animate.MovieClip#loopMode`.
+     * @name PIXI.animate.MovieClip#loop
+     * @type Boolean
+     * @default true
+     */
+    get loop() {
+        return this.loopMode !== "none";
+    }
+    set loop(value) {
+        if (typeof value === "string") {
+            this.loopMode = value;
+        } else {
+            this.loopMode = value ? "loop" : "none";
+        }
     }
 
     /**
@@ -466,7 +683,8 @@ class MovieClip extends Container {
      * @param {int} startFrame The frame to start tweening
      * @param {int} [duration=0] Number of frames to tween. If 0, then the properties are set
      *                           with no tweening.
-     * @param {Function} [ease] An optional easing function that takes the tween time from 0-1.
+     * @param {Function|Number|Array<Number>} [ease] An optional easing function that takes the
+     *        tween time from 0-1, or its serialized value, see `PIXI.animate.Ease.get`.
      * @return {PIXI.animate.MovieClip}
      */
     addTween(instance, properties, startFrame, duration, ease) {
@@ -513,7 +731,12 @@ class MovieClip extends Container {
      * @param {PIXI.DisplayObject} instance The clip to show
      * @param {int} startFrame The starting frame
      * @param {int} [duration=1] The number of frames to display the child before removing it.
-     * @param {String|Array} [keyframes] The collection of static keyframes to add
+     * @param {String|Array} [keyframes] The collection of static keyframes to add, keyframes
+     *        with an ease (`e`) tween to the next keyframe, see `PIXI.animate.Ease.get`,
+     *        along the motion guide path (`p`) if there is one, see `PIXI.animate.Tween#_setPath`,
+     *        rotating in the direction (`o`) if there is one, see `PIXI.animate.Tween#_setRotate`,
+     *        and tweening the tint in the color space (`cs`) if there is one,
+     *        see `PIXI.animate.Tween#_setColorSpace`
      * @return {PIXI.animate.MovieClip}
      */
     addTimedChild(instance, startFrame, duration, keyframes) {
@@ -567,9 +790,43 @@ class MovieClip extends Container {
             // Convert the keyframes object into
             // individual properties
             let lastFrame = {};
+            let tween = null;
             for (let i in keyframes) {
-                lastFrame = Object.assign({}, lastFrame, keyframes[i]);
-                this.addKeyframe(instance, lastFrame, parseInt(i, 10));
+                const frame = parseInt(i, 10);
+                const keyframe = Object.assign({}, keyframes[i]);
+                // Keyframes with an ease tween to the next keyframe, optionally along
+                // a motion guide path, in a rotation direction or tint color space
+                const ease = keyframe.e;
+                const path = keyframe.p;
+                const rotate = keyframe.o;
+                const colorSpace = keyframe.cs;
+                delete keyframe.e;
+                delete keyframe.p;
+                delete keyframe.o;
+                delete keyframe.cs;
+                lastFrame = Object.assign({}, lastFrame, keyframe);
+                if (tween) {
+                    const properties = Object.assign({}, lastFrame);
+                    if (tween.path) {
+                        properties.p = tween.path;
+                    }
+                    if (tween.rotate) {
+                        properties.o = tween.rotate;
+                    }
+                    if (tween.colorSpace) {
+                        properties.cs = tween.colorSpace;
+                    }
+                    this.addTween(instance, properties,
+                        tween.frame, frame - tween.frame, tween.ease);
+                }
+                this.addKeyframe(instance, lastFrame, frame);
+                tween = ease === undefined ? null : {
+                    frame: frame,
+                    ease: ease,
+                    path: path,
+                    rotate: rotate,
+                    colorSpace: colorSpace
+                };
             }
             this._getChildTimeline(instance)
                 .extendLastFrame(startFrame + duration);
@@ -707,7 +964,8 @@ class MovieClip extends Container {
     /**
      * Advances the playhead. This occurs automatically each tick by default.
      * @method PIXI.animate.MovieClip#advance
-     * @param [time] {Number} The amount of time in seconds to advance by. Only applicable if framerate is set.
+     * @param [time] {Number} The amount of time in seconds to advance by, which is scaled by the
+     *        `timeScale`. Only applicable if framerate is set.
      */
     advance(time) {
 
@@ -717,21 +975,30 @@ class MovieClip extends Container {
             this.framerate = this.parentFramerate;
         }
 
-        if (time) {
-            this._t += time;
-        }
-        if (this._t > this._duration) {
-            this._t = this.loop ? this._t - this._duration : this._duration;
+        let delta = time ? time * this.timeScale : 0;
+        //hold the end of the timeline while waiting to repeat
+        if (this._repeatWait > 0) {
+            const elapsed = Math.abs(delta);
+            if (elapsed < this._repeatWait) {
+                this._repeatWait -= elapsed;
+                delta = 0;
+            } else {
+                delta = (delta < 0 ? -1 : 1) * (elapsed - this._repeatWait);
+                this._repeatWait = 0;
+                this._t = this._repeatTime;
+            }
         }
-        //add a tiny amount to account for potential floating point errors
-        this.currentFrame = Math.floor(this._t * this._framerate + 0.00000001);
-        //final error checking
-        if (this.currentFrame >= this._totalFrames) {
-            this.currentFrame = this._totalFrames - 1;
+        this._t += delta * this._direction;
+        let completed = false;
+        if (this._t > this._duration || this._t < 0) {
+            completed = this._repeat();
+        } else if (delta) {
+            this._completed = false;
         }
+        this._updateFrame();
         let afterUpdateOnce;
         if (this._beforeUpdate) {
-            afterUpdateOnce = this._beforeUpdate(this);
+            afterUpdateOnce = this._beforeUpdate(this, time || 0);
         }
         //update all tweens & actions in the timeline
         this._updateTimeline();
@@ -740,6 +1007,70 @@ class MovieClip extends Container {
         if (afterUpdateOnce) {
             afterUpdateOnce();
         }
+
+        if (completed) {
+            this._emitPlayback('complete');
+        }
+    }
+
+    /**
+     * Set the current frame from the elapsed time.
+     * @method PIXI.animate.MovieClip#_updateFrame
+     * @private
+     */
+    _updateFrame() {
+        const position = this._t * this._framerate;
+        //add a tiny amount to account for potential floating point errors
+        this.currentFrame = Math.floor(position + 0.00000001);
+        this._subFrame = this.interpolate ? Math.max(0, position - this.currentFrame) : 0;
+        //final error checking
+        if (this.currentFrame >= this._totalFrames) {
+            this.currentFrame = this._totalFrames - 1;
+            this._subFrame = 0;
+        }
+    }
+
+    /**
+     * Handle the elapsed time passing the end (or the start when playing in reverse)
+     * of the timeline, repeating in the loop mode or stopping at the end.
+     * @method PIXI.animate.MovieClip#_repeat
+     * @private
+     * @return {Boolean} If playback has just completed
+     */
+    _repeat() {
+        const forward = this._t > this._duration;
+        const end = forward ? this._duration : 0;
+        const over = Math.min(Math.abs(this._t - end), this._duration);
+        if (this.loopMode === "none" || (this.repeat >= 0 && this._repeats >= this.repeat)) {
+            this._t = end;
+            const completed = !this._completed;
+            this._completed = true;
+            return completed;
+        }
+        this._repeats++;
+        let start, direction;
+        if (this.loopMode === "pingpong") {
+            //update at the end before turning around so actions on the end frame are run
+            this._t = end;
+            this._updateFrame();
+            this._updateTimeline();
+            this._direction = -this._direction;
+            start = end;
+            direction = forward ? -1 : 1;
+            this._emitPlayback('loop');
+        } else {
+            start = forward ? 0 : this._duration;
+            direction = forward ? 1 : -1;
+        }
+        const wait = this.repeatDelay - over;
+        if (wait > 0) {
+            this._t = end;
+            this._repeatWait = wait;
+            this._repeatTime = start;
+        } else {
+            this._t = start + direction * -wait;
+        }
+        return false;
     }
 
     /**
@@ -753,9 +1084,13 @@ class MovieClip extends Container {
         {
             return;
         }
+        // only go to whole frames, like when advancing
+        pos = Math.floor(pos);
         // prevent _updateTimeline from overwriting the new position because of a reset:
         this._prevPos = NaN;
         this.currentFrame = pos;
+        this._subFrame = 0;
+        this._resetRepeat();
 
         // Handle the case where trying to play but haven't
         // added to the stage yet
@@ -772,6 +1107,89 @@ class MovieClip extends Container {
         this._updateTimeline();
     }
 
+    /**
+     * Go to a frame or label, with the display list, masks, synched children and nested
+     * independent clips in the same state as when playing the timeline from the start to the
+     * frame. Unlike `gotoAndStop`, the result doesn't depend on the frame before seeking,
+     * for instance to scrub the timeline in any direction. Nested independent clips play as
+     * if ticked once per frame of this clip. The playhead isn't paused or played, and no
+     * events are emitted while seeking.
+     * @method PIXI.animate.MovieClip#seek
+     * @param {String|Number} positionOrLabel The frame number or label to seek to.
+     * @param {Object} [options] The options for seeking
+     * @param {Boolean} [options.runActions=false] If the actions of the frames played through
+     *        are run, including actions of nested independent clips.
+     */
+    seek(positionOrLabel, options) {
+        let pos = typeof positionOrLabel === 'string' ? this._labelDict[positionOrLabel] : positionOrLabel;
+        if (pos === undefined) // jshint ignore:line
+        {
+            return;
+        }
+        pos = Math.max(0, Math.min(pos, this._totalFrames - 1));
+
+        if (!this._framerate) {
+            this.framerate = this.parentFramerate;
+        }
+
+        const parentSeek = seeking;
+        seeking = Object.assign({ runActions: false }, options);
+        try {
+            // Go back to the state before playing, then play to the frame
+            this._restore();
+            const doActions = this.mode === MovieClip.INDEPENDENT && this.actionsEnabled;
+            for (let frame = 0; frame <= pos; frame++) {
+                const clips = frame > 0 ? getIndependentClips(this, []) : null;
+                this.currentFrame = frame;
+                this._setTimelinePosition(this._prevPos, frame, doActions);
+                this._prevPos = frame;
+                if (clips) {
+                    tickClips(this, clips, 1 / this._framerate);
+                }
+            }
+        } finally {
+            seeking = parentSeek;
+        }
+        this._prevSubFrame = 0;
+        this._t = pos / this._framerate;
+    }
+
+    /**
+     * Set the targets of the timelines back to their properties from before playing,
+     * then set the first frame without running actions, like when the clip was created,
+     * and the same for nested clips.
+     * @method PIXI.animate.MovieClip#_restore
+     * @private
+     */
+    _restore() {
+        const timelines = this._timelines;
+        for (let i = 0; i < timelines.length; i++) {
+            timelines[i].reset();
+        }
+        const timedChildTimelines = this._timedChildTimelines;
+        for (let i = 0; i < timedChildTimelines.length; i++) {
+            restoreClips(timedChildTimelines[i].target);
+        }
+        for (let i = 0; i < this.children.length; i++) {
+            restoreClips(this.children[i]);
+        }
+        this._reset();
+        this._setTimelinePosition(0, 0, false);
+    }
+
+    /**
+     * Emit a playback event, unless seeking.
+     * @method PIXI.animate.MovieClip#_emitPlayback
+     * @private
+     * @param {String} event The event name
+     * @param {...*} [args] The arguments of the event
+     */
+    _emitPlayback() {
+        if (!seeking) {
+            this.emit.apply(this, arguments);
+        }
+    }
+
     /**
      * @method PIXI.animate.MovieClip#_reset
      * @private
@@ -780,6 +1198,20 @@ class MovieClip extends Container {
         this._prevPos = -1;
         this._t = 0;
         this.currentFrame = 0;
+        this._subFrame = 0;
+        this._resetRepeat();
+    }
+
+    /**
+     * Start counting repeats again.
+     * @method PIXI.animate.MovieClip#_resetRepeat
+     * @private
+     */
+    _resetRepeat() {
+        this._repeats = 0;
+        this._direction = 1;
+        this._repeatWait = 0;
+        this._completed = false;
     }
 
     /**
@@ -794,9 +1226,12 @@ class MovieClip extends Container {
             if (this.currentFrame >= this._totalFrames) {
                 this.currentFrame %= this._totalFrames;
             }
+            if (this.mode === MovieClip.SINGLE_FRAME) {
+                this._subFrame = 0;
+            }
         }
 
-        if (this._prevPos === this.currentFrame) {
+        if (this._prevPos === this.currentFrame && this._prevSubFrame === this._subFrame) {
             return;
         }
 
@@ -804,6 +1239,7 @@ class MovieClip extends Container {
         this._setTimelinePosition(this._prevPos, this.currentFrame, synched ? false : this.actionsEnabled);
 
         this._prevPos = this.currentFrame;
+        this._prevSubFrame = this._subFrame;
     }
 
     /**
@@ -815,20 +1251,24 @@ class MovieClip extends Container {
      * @param {Boolean} doActions
      */
     _setTimelinePosition(startFrame, currentFrame, doActions) {
-        //handle all tweens
-        let i, j, length, _timelines = this._timelines;
+        //synched clips play through frames in the direction of their parent
+        const step = this.mode === MovieClip.INDEPENDENT ?
+            (this.timeScale * this._direction < 0 ? -1 : 1) : this._synchStep;
+
+        //handle all tweens, between frames when interpolating
+        let i, length, _timelines = this._timelines;
+        let position = currentFrame + this._subFrame;
         for (i = _timelines.length - 1; i >= 0; --i) {
             let timeline = _timelines[i];
-            for (j = 0, length = timeline.length; j < length; ++j) {
-                let tween = timeline[j];
-                //if the tween contains part of the timeline that we are travelling through
-                if (currentFrame >= tween.startFrame &&
-                    currentFrame <= tween.endFrame) {
-                    // set the position within that tween
-                    //and break the loop to move onto the next timeline
-                    tween.setPosition(currentFrame);
-                    break;
-                }
+            //find the tween that contains part of the timeline that we are travelling through,
+            //if there isn't one between frames then hold the current frame
+            let tween = findTween(timeline, position);
+            if (!tween && position !== currentFrame) {
+                tween = findTween(timeline, currentFrame);
+            }
+            if (tween) {
+                // set the position within that tween
+                tween.setPosition(position);
             }
         }
 
@@ -873,43 +1313,66 @@ class MovieClip extends Container {
             child = children[i];
             if (child.mode === MovieClip.SYNCHED) {
                 child._synchOffset = currentFrame - child.parentStartPosition;
+                child._synchStep = step;
+                child._subFrame = this._subFrame;
                 child._updateTimeline();
             }
         }
 
-        //handle actions
-        if (doActions) {
-            let actions = this._actions;
-            //handle looping around
-            let needsLoop = false;
-            if (currentFrame < startFrame) {
-                length = actions.length;
-                needsLoop = true;
-            } else {
-                length = Math.min(currentFrame + 1, actions.length);
-            }
-            for (i = startFrame >= 0 ? startFrame + 1 : currentFrame; i < length; ++i) {
-                if (actions[i]) {
-                    let frameActions = actions[i];
-                    for (j = 0; j < frameActions.length; ++j) {
-                        frameActions[j].call(this);
-                    }
-                }
+        //handle actions and events for each frame the playhead enters,
+        //including frames skipped over in a single update
+        const total = Math.max(this._totalFrames, this._actions.length);
+        if (!(currentFrame >= 0)) {
+            return;
+        }
+        if (!(startFrame >= 0) || currentFrame >= total) {
+            //jumped to the frame
+            this._enterFrame(currentFrame, doActions);
+        } else if (startFrame !== currentFrame) {
+            let frame = startFrame;
+            do {
+                frame += step;
                 //handle looping around
-                if (needsLoop && i === length - 1) {
-                    i = 0;
-                    length = currentFrame + 1;
-                    needsLoop = false;
+                if (frame >= total) {
+                    frame = 0;
+                    this._emitPlayback('loop');
+                } else if (frame < 0) {
+                    frame = total - 1;
+                    this._emitPlayback('loop');
                 }
+                this._enterFrame(frame, doActions);
+            } while (frame !== currentFrame);
+        }
+    }
+
+    /**
+     * Run the actions of a frame the playhead enters and emit the `frame` event, and the
+     * `label` event for each label on the frame. Actions are only run while seeking if
+     * the seek runs actions.
+     * @method PIXI.animate.MovieClip#_enterFrame
+     * @private
+     * @param {int} frame The frame
+     * @param {Boolean} doActions If the actions are run
+     */
+    _enterFrame(frame, doActions) {
+        const frameActions = doActions && (!seeking || seeking.runActions) && this._actions[frame];
+        if (frameActions) {
+            for (let i = 0; i < frameActions.length; ++i) {
+                frameActions[i].call(this);
+            }
+        }
+        this._emitPlayback('frame', frame);
+        const labels = this._labels;
+        for (let i = 0; i < labels.length; ++i) {
+            if (labels[i].position === frame) {
+                this._emitPlayback('label', labels[i].label, frame);
             }
         }
     }
 
     destroy(destroyChildren) {
-        if (this._tickListener) {
-            SharedTicker.remove(this._tickListener);
-            this._tickListener = null;
-        }
+        this._setActiveClock(null);
+        this._clock = null;
         const hiddenChildren = [];
         let timelines = this._timelines;
         if (timelines) {
@@ -917,6 +1380,7 @@ class MovieClip extends Container {
                 const timeline = timelines[i];
                 hiddenChildren.push(timeline.target);
                 timeline._currentProps = null;
+                timeline._initialProps = null;
                 timeline.length = 0;
             }
         }
@@ -950,6 +1414,126 @@ class MovieClip extends Container {
     }
 }
 
+/**
+ * Fired when the playhead enters a frame, for each frame passed through
+ * when playback skips frames.
+ * @event PIXI.animate.MovieClip#frame
+ * @param {int} frame The frame
+ */
+
+/**
+ * Fired when the playhead enters a frame with a label, for each label passed
+ * through when playback skips frames.
+ * @event PIXI.animate.MovieClip#label
+ * @param {String} label The label
+ * @param {int} frame The frame of the label
+ */
+
+/**
+ * Fired when playback loops around from the end to the start of the timeline,
+ * or turns around when playing back and forth.
+ * @event PIXI.animate.MovieClip#loop
+ */
+
+/**
+ * Fired when playback reaches the end of the timeline and stops, after the last repeat.
+ * @event PIXI.animate.MovieClip#complete
+ */
+
+/**
+ * Restore the nested clips of a display object, see `PIXI.animate.MovieClip#_restore`.
+ * @method restoreClips
+ * @private
+ * @param {PIXI.DisplayObject} target The display object
+ */
+function restoreClips(target) {
+    if (target instanceof MovieClip) {
+        target._restore();
+    } else if (target.children) {
+        for (let i = 0; i < target.children.length; i++) {
+            restoreClips(target.children[i]);
+        }
+    }
+}
+
+/**
+ * Get the nested independent clips of a display object, which play on their own.
+ * @method getIndependentClips
+ * @private
+ * @param {PIXI.Container} container The display object
+ * @param {Array<PIXI.animate.MovieClip>} clips The list to add the clips to
+ * @return {Array<PIXI.animate.MovieClip>} The clips
+ */
+function getIndependentClips(container, clips) {
+    const children = container.children;
+    for (let i = 0; i < children.length; i++) {
+        const child = children[i];
+        if (child instanceof MovieClip && child.mode === MovieClip.INDEPENDENT) {
+            clips.push(child);
+        }
+        if (child.children && child.children.length) {
+            getIndependentClips(child, clips);
+        }
+    }
+    return clips;
+}
+
+/**
+ * Advance nested independent clips which are still within a clip and playing,
+ * like the ticker does when playing.
+ * @method tickClips
+ * @private
+ * @param {PIXI.animate.MovieClip} root The clip containing the clips
+ * @param {Array<PIXI.animate.MovieClip>} clips The clips to advance
+ * @param {Number} time The time in seconds to advance by
+ */
+function tickClips(root, clips, time) {
+    for (let i = 0; i < clips.length; i++) {
+        const clip = clips[i];
+        let parent = clip.parent;
+        while (parent && parent !== root) {
+            parent = parent.parent;
+        }
+        if (parent && !clip.paused && clip.selfAdvance) {
+            clip.advance(time);
+        }
+    }
+}
+
+/**
+ * Update the clocks of the nested independent clips, which are advanced by a clock,
+ * after the clock of their parents changes.
+ * @method updateClocks
+ * @private
+ * @param {PIXI.Container} container The display object
+ */
+function updateClocks(container) {
+    const clips = getIndependentClips(container, []);
+    for (let i = 0; i < clips.length; i++) {
+        if (clips[i]._activeClock) {
+            clips[i]._setActiveClock(clips[i].clock);
+        }
+    }
+}
+
+/**
+ * Find the tween of a timeline which contains a frame.
+ * @method findTween
+ * @private
+ * @param {PIXI.animate.Timeline} timeline The tweens of a target
+ * @param {Number} frame The frame
+ * @return {PIXI.animate.Tween} The first tween containing the frame, or null
+ */
+function findTween(timeline, frame) {
+    for (let i = 0, length = timeline.length; i < length; ++i) {
+        let tween = timeline[i];
+        if (frame >= tween.startFrame && frame <= tween.endFrame) {
+            return tween;
+        }
+    }
+    return null;
+}
+
 /**
  * The MovieClip will advance independently of its parent, even if its parent is paused.
  * This is the default mode.
@@ -1,5 +1,8 @@
+import Clock from './Clock';
 import load from './load';
+import MovieClip from './MovieClip';
 import sound from './sound';
+import unload from './unload';
 
 /**
  * Extends the PIXI.Application class to provide easy loading.
@@ -34,10 +37,30 @@ class Scene extends PIXI.Application {
 		 * @readOnly
 		 */
 		this.instance = null;
+
+		/**
+		 * The stage class loaded, its assets are unloaded on destroy.
+		 * @name PIXI.animate.Scene#_stageRef
+		 * @type {Function}
+		 * @private
+		 */
+		this._stageRef = null;
+
+		/**
+		 * The clock advancing the clips on the stage, driven by the ticker of the
+		 * application. Pause it, or change its time scale, to control the whole scene.
+		 * @name PIXI.animate.Scene#clock
+		 * @type {PIXI.animate.Clock}
+		 * @readOnly
+		 */
+		this.clock = new Clock(this.ticker);
+		this.stage._clock = this.clock;
 	}
 
 	/**
-	 * Load a stage scene and add it to the stage.
+	 * Load a stage scene and add it to the stage. A stage loaded before is
+	 * destroyed and its assets unloaded once the new stage has loaded, assets
+	 * used by both stages are kept.
 	 * @method PIXI.animate.Scene#load
 	 * @param {Function} StageRef Reference to the stage class.
 	 * @param {Function} [complete] Callback when finished loading.
@@ -46,7 +69,9 @@ class Scene extends PIXI.Application {
 	 */
 	load(StageRef, complete, basePath) {
 		return load(StageRef, this.stage, (instance) => {
+			this._unloadStage();
 			this.instance = instance;
+			this._stageRef = StageRef;
 			if (complete) {
 				complete(instance);
 			}
@@ -54,15 +79,74 @@ class Scene extends PIXI.Application {
 	}
 
 	/**
-	 * Destroy and don't use after calling.
-	 * @method PIXI.animate.Scene#destroy
-	 * @param {Boolean} [removeView=false] `true` to remove canvas element.
+	 * If the clips on the stage are advanced by the ticker of the application. Set to
+	 * false to only advance the clips by calling `update` or `advanceFrames`, for example
+	 * to render each frame for a video export.
+	 * ```
+	 * scene.autoUpdate = false;
+	 * scene.advanceFrames(1);
+	 * scene.render();
+	 * ```
+	 * @name PIXI.animate.Scene#autoUpdate
+	 * @type Boolean
+	 * @default true
 	 */
-	destroy(removeView) {
+	get autoUpdate() {
+		return this.clock.autoUpdate;
+	}
+
+	set autoUpdate(autoUpdate) {
+		this.clock.autoUpdate = autoUpdate;
+	}
+
+	/**
+	 * Advance the clips on the stage by the time elapsed, see `PIXI.animate.Clock#update`.
+	 * Updating by 0 seconds shows the current frame of clips which haven't been updated yet.
+	 * @method PIXI.animate.Scene#update
+	 * @param {Number} seconds The time elapsed in seconds
+	 */
+	update(seconds) {
+		this.clock.update(seconds);
+	}
+
+	/**
+	 * Advance the clips on the stage by a number of frames, at the framerate of the
+	 * loaded stage, so that clips with different framerates stay in time.
+	 * @method PIXI.animate.Scene#advanceFrames
+	 * @param {int} [frames=1] The number of frames
+	 */
+	advanceFrames(frames) {
+		frames = frames === undefined ? 1 : frames;
+		const framerate = this.instance ? this.instance.framerate : MovieClip.DEFAULT_FRAMERATE;
+		this.update(frames / framerate);
+	}
+
+	/**
+	 * Destroy the loaded stage and unload its assets.
+	 * @method PIXI.animate.Scene#_unloadStage
+	 * @private
+	 */
+	_unloadStage() {
 		if (this.instance) {
 			this.instance.destroy(true);
 			this.instance = null;
 		}
+		if (this._stageRef) {
+			unload(this._stageRef);
+			this._stageRef = null;
+		}
+	}
+
+	/**
+	 * Destroy and don't use after calling. Assets loaded for the stage are
+	 * unloaded, unless they are still used by other loaded stages.
+	 * @method PIXI.animate.Scene#destroy
+	 * @param {Boolean} [removeView=false] `true` to remove canvas element.
+	 */
+	destroy(removeView) {
+		this._unloadStage();
+		this.clock.destroy();
+		this.clock = null;
 		super.destroy(removeView);
 	}
 }
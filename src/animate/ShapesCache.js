@@ -7,12 +7,21 @@ import utils from './utils';
  */
 const ShapesCache = {};
 
+// Map of draw commands to the Graphics drawn from them, null until the
+// commands are first drawn and false if they're drawn with the canvas
+const geometries = new Map();
+
+// Number of Graphics sharing each geometry, geometries removed from
+// the cache are destroyed when they're no longer shared
+const geometryCounts = new Map();
+
 /**
  * Add an item or itesm to the cache
  * @method PIXI.animate.ShapesCache.add
  * @static
  * @param {String} prop  The id of graphic or the map of graphics to add
- * @param {String|Array<Array>} items Collection of draw commands
+ * @param {String|ArrayBuffer|Array<Array>} items Collection of draw commands, either the
+ *        serialized text format, the binary format or arrays of commands
  */
 Object.defineProperty(ShapesCache, 'add', {
     enumerable: false,
@@ -21,6 +30,8 @@ Object.defineProperty(ShapesCache, 'add', {
         // Decode string to map of files
         if (typeof items === "string") {
             items = utils.deserializeShapes(items);
+        } else if (items instanceof ArrayBuffer) {
+            items = utils.deserializeBinaryShapes(items);
         }
 
         // Convert all hex string colors (animate) to int (pixi.js)
@@ -32,6 +43,7 @@ Object.defineProperty(ShapesCache, 'add', {
                     item[j] = utils.hexToUint(arg);
                 }
             }
+            geometries.set(item, null);
         }
         ShapesCache[prop] = items;
     }
@@ -52,6 +64,74 @@ Object.defineProperty(ShapesCache, 'fromCache', {
     }
 });
 
+/**
+ * Get the geometry drawn from a shape's commands, the geometry is only drawn
+ * once and shared by all the Graphics drawing the same shape, as is the WebGL
+ * data built from it.
+ * @method  PIXI.animate.ShapesCache.getGeometry
+ * @static
+ * @param  {Array} commands Draw commands of a shape in the cache
+ * @return {PIXI.Graphics} The Graphics drawn, or null if the commands aren't in the cache or
+ *         can't be shared because they're drawn with the canvas
+ */
+Object.defineProperty(ShapesCache, 'getGeometry', {
+    enumerable: false,
+    value: function(commands) {
+        if (!geometries.has(commands)) {
+            return null;
+        }
+        let geometry = geometries.get(commands);
+        if (geometry === null) {
+            geometry = new PIXI.Graphics()._drawCommands(commands);
+            if (geometry.children.length) {
+                // Don't keep the canvas textures
+                geometry.destroy();
+                geometry = false;
+            }
+            geometries.set(commands, geometry);
+        }
+        return geometry || null;
+    }
+});
+
+/**
+ * Add a reference to a geometry from `getGeometry`, while a Graphics shares
+ * its graphics data and WebGL data.
+ * @method  PIXI.animate.ShapesCache.retainGeometry
+ * @static
+ * @private
+ * @param  {PIXI.Graphics} geometry The geometry
+ */
+Object.defineProperty(ShapesCache, 'retainGeometry', {
+    enumerable: false,
+    value: function(geometry) {
+        geometryCounts.set(geometry, (geometryCounts.get(geometry) || 0) + 1);
+    }
+});
+
+/**
+ * Remove a reference to a geometry, the geometry is destroyed if it's no
+ * longer shared and was removed from the cache.
+ * @method  PIXI.animate.ShapesCache.releaseGeometry
+ * @static
+ * @private
+ * @param  {PIXI.Graphics} geometry The geometry
+ */
+Object.defineProperty(ShapesCache, 'releaseGeometry', {
+    enumerable: false,
+    value: function(geometry) {
+        const count = (geometryCounts.get(geometry) || 0) - 1;
+        if (count > 0) {
+            geometryCounts.set(geometry, count);
+            return;
+        }
+        geometryCounts.delete(geometry);
+        if (geometry._removed) {
+            geometry.destroy();
+        }
+    }
+});
+
 /**
  * Remove the graphic from cache
  * @method  PIXI.animate.ShapesCache.remove
@@ -68,6 +148,20 @@ Object.defineProperty(ShapesCache, 'remove', {
             return;
         }
         if (ShapesCache[id]) {
+            ShapesCache[id].forEach((item) => {
+                const geometry = geometries.get(item);
+                geometries.delete(item);
+                if (!geometry) {
+                    return;
+                }
+                // Instances drawn from the geometry still use its data,
+                // it's destroyed when the last instance releases it
+                if (geometryCounts.has(geometry)) {
+                    geometry._removed = true;
+                } else {
+                    geometry.destroy();
+                }
+            });
             ShapesCache[id].length = 0;
             delete ShapesCache[id];
         }
@@ -1,8 +1,13 @@
 import ShapesCache from './ShapesCache';
 
+// Map of atlas ids to the textures each atlas added, by frame name
+const atlases = {};
+
 /**
- * The middleware for PIXI's ResourceLoader to be able to 
- * load Flash symbols such as graphics and images.
+ * The middleware for PIXI's ResourceLoader to be able to
+ * load Flash symbols such as graphics and images. Binary shapes need to be
+ * loaded with the `xhrType` option set to `PIXI.loaders.Resource.XHR_RESPONSE_TYPE.BUFFER`,
+ * which `PIXI.animate.load` does for ".shapes.bin" files.
  * @memberof PIXI.animate
  * @class SymbolLoader
  * @private
@@ -14,7 +19,7 @@ let SymbolLoader = function() {
 
         if (!data) {
             next();
-        } else if (url.search(/\.shapes\.(json|txt)$/i) > -1) {
+        } else if (url.search(/\.shapes\.(json|txt|bin)$/i) > -1) {
             ShapesCache.add(resource.name, data);
         } else if (data.nodeName && data.nodeName === 'IMG') {
             // Add individual images to the texture cache by their
@@ -23,11 +28,110 @@ let SymbolLoader = function() {
                 resource.texture,
                 resource.name
             );
+        } else if (data.frames && resource.textures) {
+            // Add each frame of an atlas by its short symbol name
+            SymbolLoader.addFrames(resource.name, resource.textures);
         }
         next();
     };
 };
 
+/**
+ * Map of the short symbol names for atlas frames, to the id of the atlas, the
+ * name of the frame within the atlas and the texture. Frames are also added to
+ * the texture cache by their short symbol name, so `PIXI.Texture.fromFrame`
+ * can use either name.
+ * @name PIXI.animate.SymbolLoader.frames
+ * @type {Object}
+ * @static
+ * @example
+ * {
+ *     "Bitmap1": { "atlas": "MyStage_atlas_1", "frame": "Bitmap1.png", "texture": texture }
+ * }
+ */
+SymbolLoader.frames = {};
+
+/**
+ * Get the short symbol name of an atlas frame, without directories or extension.
+ * @method PIXI.animate.SymbolLoader.symbolName
+ * @static
+ * @param {String} frame The frame name in the atlas
+ * @return {String} The short symbol name
+ */
+SymbolLoader.symbolName = function(frame) {
+    return frame.replace(/^.*[\\/]/, '').replace(/\.[^.]+$/, '');
+};
+
+/**
+ * Add the frames of an atlas to the texture cache by their short symbol name.
+ * Frames with a name already used by another atlas are not added.
+ * @method PIXI.animate.SymbolLoader.addFrames
+ * @static
+ * @param {String} atlas The id of the atlas resource
+ * @param {Object} textures Map of frame names to textures
+ */
+SymbolLoader.addFrames = function(atlas, textures) {
+    const frames = SymbolLoader.frames;
+    // Remember every frame, including collisions, to remove them all
+    atlases[atlas] = Object.assign(atlases[atlas] || {}, textures);
+    for (let frame in textures) {
+        const name = SymbolLoader.symbolName(frame);
+        if (frames[name] && frames[name].atlas !== atlas) {
+            // @if DEBUG
+            console.warn("Atlas frame '" + name + "' in '" + atlas +
+                "' is already used by '" + frames[name].atlas + "'");
+            // @endif
+            // Make sure the short name still refers to the first atlas
+            PIXI.utils.TextureCache[name] = frames[name].texture;
+            continue;
+        }
+        frames[name] = {
+            atlas: atlas,
+            frame: frame,
+            texture: textures[frame]
+        };
+        if (name !== frame) {
+            PIXI.Texture.addTextureToCache(textures[frame], name);
+        }
+    }
+};
+
+/**
+ * Remove the frames of an atlas from the texture cache, by their short symbol
+ * names and their frame names, unless the names now refer to another atlas.
+ * @method PIXI.animate.SymbolLoader.removeFrames
+ * @static
+ * @param {String} atlas The id of the atlas resource
+ */
+SymbolLoader.removeFrames = function(atlas) {
+    const frames = SymbolLoader.frames;
+    const textures = atlases[atlas] || {};
+    delete atlases[atlas];
+    for (let frame in textures) {
+        removeTexture(frame, textures[frame]);
+    }
+    for (let name in frames) {
+        if (frames[name].atlas === atlas) {
+            removeTexture(name, frames[name].texture);
+            removeTexture(frames[name].frame, frames[name].texture);
+            delete frames[name];
+        }
+    }
+};
+
+/**
+ * Remove a texture from the cache, if the id still refers to it.
+ * @method removeTexture
+ * @private
+ * @param {String} id The texture cache id
+ * @param {PIXI.Texture} texture The texture
+ */
+function removeTexture(id, texture) {
+    if (PIXI.utils.TextureCache[id] === texture) {
+        PIXI.Texture.removeFromCache(id);
+    }
+}
+
 // Assign to the loader
 PIXI.loaders.Loader.addPixiMiddleware(SymbolLoader);
 
@@ -26,6 +26,15 @@ const Timeline = function(target) {
      * @private
      */
     this._currentProps = {};
+
+    /**
+     * Properties of the target from before the timeline, to be able to
+     * restore the target when seeking.
+     * @name PIXI.animate.Timeline#_initialProps
+     * @type Object
+     * @private
+     */
+    this._initialProps = {};
 };
 
 const p = Timeline.prototype = Object.create(Array.prototype);
@@ -35,10 +44,13 @@ const p = Timeline.prototype = Object.create(Array.prototype);
  * and managed by this timeline. Adding a tween to multiple timelines will result in unexpected behaviour.
  * @method PIXI.animate.Timeline#addTween
  * @param tween The tween(s) to add. Accepts multiple arguments.
+ * @param {Function|Number|Array<Number>|Object} [ease] The easing function or its serialized
+ *        value, see `PIXI.animate.Ease.get`, or a map of eases by property, see `PIXI.animate.Tween`
  * @return Tween The first tween that was passed in.
  */
 p.addTween = function(properties, startFrame, duration, ease) {
     this.extendLastFrame(startFrame - 1);
+    this._saveInitialProps(properties);
     //ownership of startProps is passed to the new Tween - this object should not be reused
     let startProps = {};
     let prop;
@@ -76,6 +88,7 @@ p.addTween = function(properties, startFrame, duration, ease) {
  */
 p.addKeyframe = function(properties, startFrame) {
     this.extendLastFrame(startFrame - 1);
+    this._saveInitialProps(properties);
     let startProps = Object.assign({}, this._currentProps, properties);
     //create the new Tween and add it to the list
     let tween = new Tween(this.target, startProps, null, startFrame, 0);
@@ -105,6 +118,30 @@ p.extendLastFrame = function(endFrame) {
     }
 };
 
+/**
+ * Save the value of properties from before the timeline changes them.
+ * @method PIXI.animate.Timeline#_saveInitialProps
+ * @private
+ * @param {Object} properties The properties the timeline changes
+ */
+p._saveInitialProps = function(properties) {
+    for (let prop in properties) {
+        // Motion guides, rotation directions and color spaces aren't properties of the target
+        if (prop === 'p' || prop === 'o' || prop === 'cs' || this._initialProps.hasOwnProperty(prop)) {
+            continue;
+        }
+        this._initialProps[prop] = this.getPropFromShorthand(prop);
+    }
+};
+
+/**
+ * Set the target back to its properties from before the timeline.
+ * @method PIXI.animate.Timeline#reset
+ */
+p.reset = function() {
+    new Tween(this.target, Object.assign({}, this._initialProps), null, 0, 0).setToEnd();
+};
+
 /**
  * Get the value for a property
  * @method PIXI.animate.Timeline#getPropFromShorthand
@@ -133,13 +170,23 @@ p.getPropFromShorthand = function(prop) {
             return target.visible;
         case 'm':
             return target.mask;
-            // case 't':
-            //   return target.tint;
+        case 't':
+            // The tint is set as a color transform
+            return (toChannel(target._colorTransform[0]) << 16) |
+                (toChannel(target._colorTransform[2]) << 8) |
+                toChannel(target._colorTransform[4]);
+        case 'c':
+            return target._colorTransform;
             //not sure if we'll actually handle graphics this way?
             //g: return null;
     }
     return null;
 };
 
+//convert a color multiplier to a color channel
+function toChannel(multiplier) {
+    return Math.max(0, Math.min(255, Math.round(multiplier * 255)));
+}
+
 // Assign to namespace
 export default Timeline;
\ No newline at end of file
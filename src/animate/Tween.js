@@ -1,3 +1,7 @@
+import utils from './utils';
+import Ease from './Ease';
+import MotionPath from './MotionPath';
+
 /**
  * Provide timeline playback of movieclip
  * @memberof PIXI.animate
@@ -8,7 +12,11 @@
  * @param {Object} endProps The ending properties
  * @param {int} startFrame frame number on which to begin tweening
  * @param {int} duration Number of frames to tween
- * @param {Function} [ease] Ease function to use
+ * @param {Function|Number|Array<Number>|Object} [ease] Ease function to use, or its serialized
+ *        value, see `PIXI.animate.Ease.get`. Properties can have separate eases with a map of
+ *        eases by property, eases for properties not in the map use the `default` ease,
+ *        for instance `{ x: -100, y: -100, r: [0.42, 0, 0.58, 1], default: 0 }`.
+ *        Tweens along a motion guide use the ease of `x`.
  */
 
 class Tween {
@@ -63,7 +71,26 @@ class Tween {
          * @type {Function}
          * @name PIXI.animate.Tween#ease
          */
-        this.ease = ease;
+        this.ease = null;
+
+        /**
+         * easing functions for properties which have their own ease, if any
+         * @type {Object}
+         * @name PIXI.animate.Tween#eases
+         */
+        this.eases = null;
+
+        if (ease && typeof ease === "object" && !Array.isArray(ease)) {
+            this.ease = Ease.get(ease.default);
+            this.eases = {};
+            for (let prop in ease) {
+                if (prop !== "default") {
+                    this.eases[prop] = Ease.get(ease[prop]);
+                }
+            }
+        } else {
+            this.ease = Ease.get(ease);
+        }
 
         /**
          * If we don't tween.
@@ -87,6 +114,135 @@ class Tween {
                 this.endProps[prop] = startProps[prop];
             }
         }
+
+        /**
+         * motion guide path that x and y follow, if any
+         * @type {PIXI.animate.MotionPath}
+         * @name PIXI.animate.Tween#path
+         */
+        this.path = null;
+
+        /**
+         * if the rotation follows the direction of the motion guide path
+         * @type {Boolean}
+         * @name PIXI.animate.Tween#orient
+         */
+        this.orient = false;
+
+        if (this.endProps.p) {
+            this._setPath(this.endProps.p);
+        }
+
+        /**
+         * the direction to tween the rotation, see `PIXI.animate.Tween#_setRotate`
+         * @type {String}
+         * @name PIXI.animate.Tween#rotate
+         * @default "auto"
+         */
+        this.rotate = "auto";
+
+        /**
+         * number of extra full turns when rotating clockwise or counter-clockwise
+         * @type {int}
+         * @name PIXI.animate.Tween#rotations
+         * @default 0
+         */
+        this.rotations = 0;
+
+        if (this.endProps.hasOwnProperty("o")) {
+            this._setRotate(this.endProps.o);
+        }
+
+        /**
+         * the color space to tween the tint in, see `PIXI.animate.Tween#_setColorSpace`
+         * @type {String}
+         * @name PIXI.animate.Tween#colorSpace
+         * @default "rgb"
+         */
+        this.colorSpace = "rgb";
+
+        if (this.endProps.hasOwnProperty("cs")) {
+            this._setColorSpace(this.endProps.cs);
+        }
+    }
+
+    /**
+     * Set the color space the tint is tweened in with the `cs` property: "rgb" tweens
+     * each channel of the color value, "linear" tweens each channel in linear light,
+     * which avoids dark midpoints between saturated colors, and "hsl" tweens the hue,
+     * saturation and lightness, taking the shortest way around the hue.
+     * ```
+     * { t: 0x0000ff, cs: "linear" }
+     * ```
+     * @method PIXI.animate.Tween#_setColorSpace
+     * @private
+     * @param {String} value The color space
+     */
+    _setColorSpace(value) {
+        delete this.startProps.cs;
+        delete this.endProps.cs;
+        if (value !== "rgb" && value !== "linear" && value !== "hsl") {
+            // @if DEBUG
+            console.warn("Unsupported tween color space '" + value + "'");
+            // @endif
+            return;
+        }
+        this.colorSpace = value;
+    }
+
+    /**
+     * Set the direction of the rotation with the `o` property, like the rotate setting
+     * of tweens in Animate: "auto" takes the shortest way around, "none" tweens the
+     * rotation values as they are, "cw" rotates clockwise and "ccw" counter-clockwise,
+     * followed by the number of extra full turns.
+     * ```
+     * { r: 0, o: "cw2" } // rotate clockwise, making two full turns on the way
+     * ```
+     * @method PIXI.animate.Tween#_setRotate
+     * @private
+     * @param {String} value The rotation direction
+     */
+    _setRotate(value) {
+        delete this.startProps.o;
+        delete this.endProps.o;
+        let match = /^(auto|none|cw|ccw)(\d*)$/.exec(value);
+        if (!match) {
+            // @if DEBUG
+            console.warn("Unsupported tween rotation '" + value + "'");
+            // @endif
+            return;
+        }
+        this.rotate = match[1];
+        this.rotations = parseInt(match[2], 10) || 0;
+    }
+
+    /**
+     * Follow a motion guide path with the `p` property, which is the path as draw commands,
+     * or an object with the `path` and `orient`, if the rotation follows the direction of
+     * the path. The start and end of the path are added to the properties as `x` and `y`
+     * (and `r` if oriented), so following tweens start from the end of the path.
+     * ```
+     * { p: { path: ["m", 0, 0, "q", 50, -50, 100, 0], orient: true } }
+     * ```
+     * @method PIXI.animate.Tween#_setPath
+     * @private
+     * @param {Array|Object} data The path
+     */
+    _setPath(data) {
+        let path = this.path = new MotionPath(data.path || data);
+        this.orient = !!data.orient;
+        delete this.startProps.p;
+        delete this.endProps.p;
+        let start = path.getPoint(0);
+        let end = path.getPoint(1);
+        this.startProps.x = start.x;
+        this.startProps.y = start.y;
+        this.endProps.x = end.x;
+        this.endProps.y = end.y;
+        if (this.orient) {
+            this.startProps.r = start.angle;
+            this.endProps.r = end.angle;
+        }
     }
 
     /**
@@ -107,21 +263,38 @@ class Tween {
             return;
         }
 
-        let time = (currentFrame - this.startFrame) / this.duration;
-        if (this.ease) {
-            time = this.ease(time);
-        }
+        let linearTime = (currentFrame - this.startFrame) / this.duration;
+        let time = this.ease ? this.ease(linearTime) : linearTime;
+        let eases = this.eases;
         let target = this.target;
         let startProps = this.startProps;
         let endProps = this.endProps;
         for (let prop in endProps) {
             let lerp = props[prop];
             if (lerp) {
-                setPropFromShorthand(target, prop, lerp(startProps[prop], endProps[prop], time));
+                let propTime = time;
+                if (eases && eases.hasOwnProperty(prop)) {
+                    let ease = eases[prop];
+                    propTime = ease ? ease(linearTime) : linearTime;
+                }
+                setPropFromShorthand(target, prop, lerp(startProps[prop], endProps[prop], propTime, this));
             } else {
                 setPropFromShorthand(target, prop, startProps[prop]);
             }
         }
+        //replace the position from the motion guide
+        if (this.path) {
+            let pathTime = time;
+            if (eases && eases.hasOwnProperty("x")) {
+                pathTime = eases.x ? eases.x(linearTime) : linearTime;
+            }
+            let point = this.path.getPoint(pathTime, pathPoint);
+            setPropFromShorthand(target, "x", point.x);
+            setPropFromShorthand(target, "y", point.y);
+            if (this.orient) {
+                setPropFromShorthand(target, "r", point.angle);
+            }
+        }
     }
 
     /**
@@ -137,6 +310,9 @@ class Tween {
     }
 }
 
+//reused for positions on motion guide paths
+const pathPoint = {};
+
 //standard tweening
 function lerpValue(start, end, t) {
     return start + (end - start) * t;
@@ -157,81 +333,193 @@ const props = {
     //alpha
     a: lerpValue,
     //tinting
-    // t: lerpColor,
-    t: null,
+    t: lerpColor,
+    //colorTransform
+    c: lerpColorTransform,
     //values to be set
     v: null, //visible
-    c: null, //colorTransform
     m: null, //mask
+    p: null, //motion guide path, see Tween#_setPath
+    o: null, //rotation direction, see Tween#_setRotate
+    cs: null, //tint color space, see Tween#_setColorSpace
     g: null //not sure if we'll actually handle graphics this way?
 };
 
-//split r, g, b into separate values for tweening
-/*function lerpColor(start, end, t)
-{
-    //split start color into components
+//split r, g, b into separate values for tweening in the color space of the tween
+function lerpColor(start, end, t, tween) {
+    if (typeof start === "string") {
+        start = utils.hexToUint(start);
+    }
+    if (typeof end === "string") {
+        end = utils.hexToUint(end);
+    }
     let sR = start >> 16 & 0xFF;
     let sG = start >> 8 & 0xFF;
     let sB = start & 0xFF;
-    //split end color into components
     let eR = end >> 16 & 0xFF;
     let eG = end >> 8 & 0xFF;
     let eB = end & 0xFF;
-    //lerp red
-    let r = sR + (eR - sR) * percent;
-    //clamp red to valid values
-    if (r < 0)
-        r = 0;
-    else if (r > 255)
-        r = 255;
-    //lerp green
-    let g = sG + (eG - sG) * percent;
-    //clamp green to valid values
-    if (g < 0)
-        g = 0;
-    else if (g > 255)
-        g = 255;
-    //lerp blue
-    let b = sB + (eB - sB) * percent;
-    //clamp blue to valid values
-    if (b < 0)
-        b = 0;
-    else if (b > 255)
-        b = 255;
-
-    let combined = (r << 16) | (g << 8) | b;
-    return combined;
-}*/
-
-const PI = Math.PI;
-const TWO_PI = PI * 2;
-
-//handle 355 -> 5 degrees only going through a 10 degree change instead of
-//the long way around
-//Math from http://stackoverflow.com/a/2708740
-function lerpRotation(start, end, t) {
-    let difference = Math.abs(end - start);
-    if (difference > PI) {
-        // We need to add on to one of the values.
-        if (end > start) {
-            // We'll add it on to start...
-            start += TWO_PI;
-        } else {
-            // Add it on to end.
-            end += PI + TWO_PI;
+    let r, g, b;
+
+    switch (tween.colorSpace) {
+        case "linear":
+            r = toSRGB(lerpValue(toLinear(sR), toLinear(eR), t));
+            g = toSRGB(lerpValue(toLinear(sG), toLinear(eG), t));
+            b = toSRGB(lerpValue(toLinear(sB), toLinear(eB), t));
+            break;
+        case "hsl": {
+            let s = toHSL(sR, sG, sB);
+            let e = toHSL(eR, eG, eB);
+            //grays have no hue, so keep the hue of the other color
+            if (!s[1]) {
+                s[0] = e[0];
+            } else if (!e[1]) {
+                e[0] = s[0];
+            }
+            //go the shortest way around the hue
+            if (e[0] - s[0] > 0.5) {
+                s[0] += 1;
+            } else if (s[0] - e[0] > 0.5) {
+                e[0] += 1;
+            }
+            let rgb = fromHSL(
+                lerpValue(s[0], e[0], t) % 1,
+                lerpValue(s[1], e[1], t),
+                lerpValue(s[2], e[2], t)
+            );
+            r = rgb[0];
+            g = rgb[1];
+            b = rgb[2];
+            break;
         }
+        default:
+            r = lerpValue(sR, eR, t);
+            g = lerpValue(sG, eG, t);
+            b = lerpValue(sB, eB, t);
+    }
+    return (clampChannel(r) << 16) | (clampChannel(g) << 8) | clampChannel(b);
+}
+
+//default multiply and additive values for the color transform
+const COLOR_TRANSFORM = [1, 0, 1, 0, 1, 0, 1, 0];
+
+//lerp each multiply and additive value of the color transform,
+//alpha values may be left out of either transform
+function lerpColorTransform(start, end, t) {
+    let result = [];
+    let length = Math.max(start.length, end.length);
+    for (let i = 0; i < length; i++) {
+        result[i] = lerpValue(
+            i < start.length ? start[i] : COLOR_TRANSFORM[i],
+            i < end.length ? end[i] : COLOR_TRANSFORM[i],
+            t
+        );
+    }
+    return result;
+}
+
+//round and clamp a color channel to valid values
+function clampChannel(value) {
+    return Math.max(0, Math.min(255, Math.round(value)));
+}
+
+//convert an sRGB channel (0-255) to linear light (0-1)
+function toLinear(value) {
+    value /= 255;
+    return value <= 0.04045 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+}
+
+//convert linear light (0-1) to an sRGB channel (0-255)
+function toSRGB(value) {
+    value = value <= 0.0031308 ? value * 12.92 : 1.055 * Math.pow(value, 1 / 2.4) - 0.055;
+    return value * 255;
+}
+
+//convert r, g, b (0-255) to [hue, saturation, lightness] (0-1)
+function toHSL(r, g, b) {
+    r /= 255;
+    g /= 255;
+    b /= 255;
+    let max = Math.max(r, g, b);
+    let min = Math.min(r, g, b);
+    let l = (max + min) / 2;
+    let d = max - min;
+    if (!d) {
+        return [0, 0, l];
     }
+    let s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+    let h;
+    if (max === r) {
+        h = (g - b) / d + (g < b ? 6 : 0);
+    } else if (max === g) {
+        h = (b - r) / d + 2;
+    } else {
+        h = (r - g) / d + 4;
+    }
+    return [h / 6, s, l];
+}
 
-    // Interpolate it.
-    let value = (start + ((end - start) * t));
+//convert hue, saturation, lightness (0-1) to [r, g, b] (0-255)
+function fromHSL(h, s, l) {
+    if (!s) {
+        return [l * 255, l * 255, l * 255];
+    }
+    let q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+    let p = 2 * l - q;
+    return [
+        hueToChannel(p, q, h + 1 / 3) * 255,
+        hueToChannel(p, q, h) * 255,
+        hueToChannel(p, q, h - 1 / 3) * 255
+    ];
+}
 
-    // wrap to 0-2PI
-    /*if (value >= 0 && value <= TWO_PI)
-        return value;
-    return value % TWO_PI;*/
+function hueToChannel(p, q, t) {
+    if (t < 0) {
+        t += 1;
+    } else if (t > 1) {
+        t -= 1;
+    }
+    if (t < 1 / 6) {
+        return p + (q - p) * 6 * t;
+    }
+    if (t < 1 / 2) {
+        return q;
+    }
+    if (t < 2 / 3) {
+        return p + (q - p) * (2 / 3 - t) * 6;
+    }
+    return p;
+}
+
+const TWO_PI = Math.PI * 2;
+
+//tween the rotation in the direction of the tween, by default the shortest way
+//around, so 355 -> 5 degrees only goes through a 10 degree change
+function lerpRotation(start, end, t, tween) {
+    let difference = end - start;
+    switch (tween.rotate) {
+        case "none":
+            break;
+        case "cw":
+            difference = wrapAngle(difference) + tween.rotations * TWO_PI;
+            break;
+        case "ccw":
+            difference = wrapAngle(difference);
+            if (difference > 0) {
+                difference -= TWO_PI;
+            }
+            difference -= tween.rotations * TWO_PI;
+            break;
+        default:
+            difference -= TWO_PI * Math.round(difference / TWO_PI);
+    }
+    return start + difference * t;
+}
 
-    //just return, as it's faster
-    return value;
+//wrap an angle to 0-2PI
+function wrapAngle(angle) {
+    angle %= TWO_PI;
+    return angle < 0 ? angle + TWO_PI : angle;
 }
 
 function setPropFromShorthand(target, prop, value) {
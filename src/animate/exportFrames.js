@@ -0,0 +1,176 @@
+import Clock from './Clock';
+import FrameRenderer from './FrameRenderer';
+import loadAsync from './loadAsync';
+import MovieClip from './MovieClip';
+import unload from './unload';
+
+/**
+ * Render each frame of a stage to an image offline, for example to make a video.
+ * The stage is loaded, played with a clock which is updated by the time of each frame
+ * so nested clips play along, and drawn with a canvas renderer which isn't added to
+ * the page, see `PIXI.animate.FrameRenderer`. Each frame is a PNG file named with the
+ * frame number, or the pixels.
+ * ```
+ * const fs = require('fs');
+ * PIXI.animate.exportFrames({
+ *     stage: lib.MyStage,
+ *     width: 1280,
+ *     height: 720,
+ *     framerate: 30,
+ *     write(name, data) {
+ *         fs.writeFileSync('frames/' + name, Buffer.from(data));
+ *     }
+ * }).then((frames) => {
+ *     // frames[0].name === 'frame0001.png'
+ * });
+ * ```
+ * @method PIXI.animate.exportFrames
+ * @param {Object} options Options for exporting.
+ * @param {Function} options.stage Reference to the stage class, as accepted by `PIXI.animate.load`
+ * @param {String} [options.basePath] Base root directory of the assets
+ * @param {PIXI.loaders.Loader} [options.loader] A Pixi loader object
+ * @param {Object} [options.metadata] A metadata object for the assets being loaded
+ * @param {int} [options.width=800] Width of the images
+ * @param {int} [options.height=600] Height of the images
+ * @param {Number} [options.resolution=1] Resolution of the images, 2 doubles the size in pixels
+ * @param {Number} [options.framerate] The frames per second to render, defaults to the
+ *        framerate of the stage
+ * @param {int} [options.backgroundColor=0xffffff] The color behind the stage
+ * @param {Boolean} [options.transparent=false] If the background is transparent
+ * @param {String} [options.format='png'] "png" for the bytes of a PNG file, or "pixels" for
+ *        the RGBA values of each pixel
+ * @param {String} [options.prefix='frame'] The start of the file names, which end with the
+ *        frame number from 1, padded to 4 digits, and ".png"
+ * @param {Function} [options.write] Called with the file name and data of each frame, to
+ *        write the frame. Can return a Promise to wait for before rendering the next frame.
+ *        Written frames don't keep their data, to save memory.
+ * @param {Function} [options.onProgress] Called after each frame, takes the progress from 0 to 1
+ * @return {Promise<Array<Object>>} Resolves with the `name` and `data` of each frame, rejected
+ *         if the assets fail to load
+ */
+const exportFrames = function(options) {
+
+    options = Object.assign({
+        stage: null,
+        basePath: '',
+        loader: null,
+        metadata: null,
+        width: 800,
+        height: 600,
+        resolution: 1,
+        framerate: 0,
+        backgroundColor: 0xffffff,
+        transparent: false,
+        format: 'png',
+        prefix: 'frame',
+        write: null,
+        onProgress: null
+    }, options || {});
+
+    if (options.format !== 'png' && options.format !== 'pixels') {
+        return Promise.reject(new Error("Unsupported export format '" + options.format + "'"));
+    }
+
+    return loadAsync({
+        stage: options.stage,
+        basePath: options.basePath,
+        loader: options.loader,
+        metadata: options.metadata
+    }).then((result) => {
+        const instance = result.instance;
+        let renderer = null;
+        let clock = null;
+
+        // Release the assets even if the renderer can't be set up
+        let cleaned = false;
+        const cleanup = () => {
+            if (cleaned) {
+                return;
+            }
+            cleaned = true;
+            if (renderer) {
+                renderer.destroy(true);
+            }
+            if (instance && !instance._destroyed) {
+                instance.destroy(true);
+            }
+            unload(options.stage);
+            if (clock) {
+                clock.destroy();
+            }
+        };
+
+        try {
+            renderer = new FrameRenderer(options.width, options.height, {
+                backgroundColor: options.backgroundColor,
+                transparent: options.transparent,
+                resolution: options.resolution
+            });
+
+            // Only advance the clips by the time of each frame
+            clock = new Clock(null, false);
+            renderer.stage._clock = clock;
+            renderer.setInstance(instance);
+        } catch (err) {
+            cleanup();
+            throw err;
+        }
+
+        const stageFramerate = instance.framerate || MovieClip.DEFAULT_FRAMERATE;
+        const framerate = options.framerate || stageFramerate;
+        const duration = (instance.totalFrames || 1) / stageFramerate;
+        const count = Math.max(1, Math.round(duration * framerate));
+        const digits = Math.max(4, String(count).length);
+        const frames = [];
+
+        const next = () => {
+            const index = frames.length;
+            if (index >= count) {
+                return frames;
+            }
+            clock.update(index ? 1 / framerate : 0);
+            renderer.render();
+            const frame = {
+                name: options.prefix + padNumber(index + 1, digits) + '.png',
+                data: renderer.getData(options.format)
+            };
+            frames.push(frame);
+            let written;
+            if (options.write) {
+                written = options.write(frame.name, frame.data);
+                frame.data = null;
+            }
+            if (options.onProgress) {
+                options.onProgress(frames.length / count);
+            }
+            // Continue asynchronously so long exports don't grow the stack
+            return Promise.resolve(written).then(next);
+        };
+
+        return Promise.resolve().then(next).then((exported) => {
+            cleanup();
+            return exported;
+        }, (err) => {
+            cleanup();
+            throw err;
+        });
+    });
+};
+
+/**
+ * Pad a number with zeros.
+ * @method padNumber
+ * @private
+ * @param {int} value The number
+ * @param {int} digits The minimum number of digits
+ * @return {String} The padded number
+ */
+function padNumber(value, digits) {
+    let str = String(value);
+    while (str.length < digits) {
+        str = '0' + str;
+    }
+    return str;
+}
+
+export default exportFrames;
@@ -1,4 +1,7 @@
+import exportFrames from './exportFrames';
 import load from './load';
+import loadAsync from './loadAsync';
+import unload from './unload';
 import sound from './sound';
 import utils from './utils';
 import MovieClip from './MovieClip';
@@ -8,6 +11,11 @@ import SymbolLoader from './SymbolLoader';
 import Timeline from './Timeline';
 import Tween from './Tween';
 import Animator from './Animator';
+import AssetRegistry from './AssetRegistry';
+import Clock from './Clock';
+import ColorTransformRenderer from './ColorTransformRenderer';
+import Ease from './Ease';
+import FrameRenderer from './FrameRenderer';
 import AnimatorTimeline from './AnimatorTimeline';
 
 const VERSION = __VERSION__;
@@ -18,7 +26,15 @@ const VERSION = __VERSION__;
 export {
     Animator,
     AnimatorTimeline,
+    AssetRegistry,
+    Clock,
+    ColorTransformRenderer,
+    Ease,
+    exportFrames,
+    FrameRenderer,
     load,
+    loadAsync,
+    unload,
     sound,
     utils,
     MovieClip,
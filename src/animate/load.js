@@ -1,3 +1,5 @@
+import AssetRegistry from './AssetRegistry';
+
 /**
  * Load the stage class and preload any assets
  * @method PIXI.animate.load
@@ -6,6 +8,19 @@
  * @param {Object} [options.stage.assets] Assets used to preload
  * @param {PIXI.Container} options.parent The Container to auto-add the stage to.
  * @param {String} [options.basePath] Base root directory
+ * @param {Function} [options.complete] The callback function when complete.
+ * @param {Function} [options.error] The callback function if any asset fails to load,
+ *        takes an Error with a `failed` array of asset ids and the loader. The stage
+ *        is not created when any assets fail. If no callback is provided, the loader emits
+ *        an `error` event with the Error and the loader instead.
+ * @param {Function} [options.onProgress] Called as each asset loads or fails, takes the
+ *        progress from 0 to 1 and the asset id.
+ * @param {Function} [options.onError] Called for each asset which fails to load, takes
+ *        the asset id and the error.
+ * @param {PIXI.loaders.Loader} [options.loader] A Pixi loader object
+ * @param {Object} [options.metadata] A metadata object for the asset being loaded
+ * @param {AbortSignal} [options.signal] Signal to cancel loading, the `error` callback
+ *        is called with an Error named `AbortError`, or the loader emits it.
  * @return {PIXI.loaders.Loader} instance of PIXI resource loader
  */
 /**
@@ -109,12 +124,130 @@ const load = function(options, parent, complete, basePath, loader, metadata) {
         stage: null,
         parent: null,
         basePath: '',
-        complete: null
+        complete: null,
+        error: null,
+        onProgress: null,
+        onError: null,
+        loader: loader || null,
+        metadata: metadata || null,
+        signal: null
     }, options || {});
 
-    loader = loader || new PIXI.loaders.Loader();
+    loader = options.loader || new PIXI.loaders.Loader();
+    metadata = options.metadata;
+
+    const assets = options.stage.assets || {};
+    const signal = options.signal;
+
+    // Ids of the assets which failed to load
+    const failed = [];
+
+    // Ids of the assets this loader is fetching, other assets
+    // are either already loaded or being fetched by another loader
+    const fetching = [];
+
+    // Map of asset ids to the callbacks waiting for them
+    const waiting = {};
+    const hasAssets = Object.keys(assets).length > 0;
+
+    // Number of assets to wait for and how many are left
+    let total = 0;
+    let remaining = 0;
+    let aborted = false;
+
+    function onLoad(loader, resource) {
+        if (fetching.indexOf(resource.name) > -1) {
+            AssetRegistry.finish(resource.name, resource);
+        }
+    }
+
+    function onError(error, loader, resource) {
+        if (fetching.indexOf(resource.name) > -1) {
+            AssetRegistry.finish(resource.name, resource, error);
+        }
+    }
+
+    function onAssetComplete(id, error) {
+        if (aborted) {
+            return;
+        }
+        if (error) {
+            failed.push(id);
+            if (options.onError) {
+                options.onError(id, error);
+            }
+        }
+        remaining--;
+        if (options.onProgress) {
+            options.onProgress((total - remaining) / total, id);
+        }
+        if (!remaining) {
+            done();
+        }
+    }
+
+    function onAbort() {
+        if (aborted) {
+            return;
+        }
+        aborted = true;
+        signal.removeEventListener('abort', onAbort);
+        for (let id in waiting) {
+            AssetRegistry.unwait(id, waiting[id]);
+        }
+        // Keep fetching if other stages are waiting for any of our assets
+        let shared = false;
+        for (let i = 0; i < fetching.length; i++) {
+            shared = shared || AssetRegistry.isWaiting(fetching[i]);
+        }
+        const error = abortError();
+        if (shared) {
+            loader.once('complete', removeListeners);
+        } else {
+            removeListeners();
+            loader.reset();
+            for (let i = 0; i < fetching.length; i++) {
+                AssetRegistry.finish(fetching[i], null, error);
+            }
+        }
+        AssetRegistry.release(assets);
+        fail(error);
+    }
+
+    function removeListeners() {
+        loader.off('load', onLoad);
+        loader.off('error', onError);
+        if (signal) {
+            signal.removeEventListener('abort', onAbort);
+        }
+    }
+
+    function fail(error) {
+        // Don't throw, this can run while other stages are being notified
+        if (options.error) {
+            options.error(error, loader);
+        } else {
+            loader.emit('error', error, loader);
+        }
+    }
 
     function done() {
+        if (aborted) {
+            return;
+        }
+        removeListeners();
+        // Don't create a stage which is missing assets
+        if (failed.length) {
+            AssetRegistry.release(assets);
+            const error = new Error("Failed to load assets: " + failed.join(", "));
+            error.failed = failed;
+            fail(error);
+            return;
+        }
+        // Complete the loader when the assets were loaded by other stages
+        if (hasAssets && !fetching.length) {
+            loader.load();
+        }
         let instance = typeof options.stage === "function" ? new options.stage() : null;
         if (options.parent) {
             options.parent.addChild(instance);
@@ -124,15 +257,30 @@ const load = function(options, parent, complete, basePath, loader, metadata) {
         }
     }
 
-    // Check for assets to preload
-    let assets = options.stage.assets || {};
-    if (assets && Object.keys(assets).length) {
-        // assetBaseDir can accept either with trailing slash or not
-        let basePath = options.basePath;
-        if (basePath) {
-            basePath += "/";
+    if (signal) {
+        if (signal.aborted) {
+            fail(abortError());
+            return loader;
         }
-        for (let id in assets) {
+        signal.addEventListener('abort', onAbort);
+    }
+
+    // Keep track of the stages using each asset, see `PIXI.animate.unload`
+    AssetRegistry.retain(assets);
+
+    // assetBaseDir can accept either with trailing slash or not
+    basePath = options.basePath;
+    if (basePath) {
+        basePath += "/";
+    }
+
+    for (let id in assets) {
+        // Already loaded for another stage
+        if (AssetRegistry.get(id)) {
+            continue;
+        }
+        // Only fetch assets which aren't already being loaded
+        if (!AssetRegistry.isPending(id)) {
             var data = null;
             if(metadata) {
                 // if the metadata was supplied for this particular asset, use these options
@@ -144,15 +292,51 @@ const load = function(options, parent, complete, basePath, loader, metadata) {
                     data = metadata.default;
                 }
             }
+            if (/\.shapes\.bin$/i.test(assets[id])) {
+                // Only fetch binary shapes as an ArrayBuffer, not every .bin file
+                data = Object.assign({
+                    xhrType: PIXI.loaders.Resource.XHR_RESPONSE_TYPE.BUFFER
+                }, data);
+            }
             loader.add(id, basePath + assets[id], data);
+            AssetRegistry.start(id);
+            fetching.push(id);
+        }
+        waiting[id] = onAssetComplete.bind(null, id);
+        AssetRegistry.wait(id, waiting[id]);
+        total++;
+    }
+    remaining = total;
+
+    if (fetching.length) {
+        loader.on('load', onLoad);
+        loader.on('error', onError);
+        loader.load();
+    }
+    if (!total) {
+        if (hasAssets) {
+            // All the assets are already loaded, complete after returning
+            // the loader, like when fetching the assets
+            setTimeout(done, 0);
+        } else {
+            // tiny case where there's only text and no shapes/animations
+            done();
         }
-        loader.once('complete', done).load();
-    } else {
-        // tiny case where there's only text and no shapes/animations
-        done();
     }
 
     return loader;
 };
 
+/**
+ * Create the error used when loading is cancelled.
+ * @method abortError
+ * @private
+ * @return {Error} The error with the name `AbortError`
+ */
+function abortError() {
+    const error = new Error("Loading was aborted");
+    error.name = 'AbortError';
+    return error;
+}
+
 export default load;
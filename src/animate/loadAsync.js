@@ -0,0 +1,76 @@
+import load from './load';
+import AssetRegistry from './AssetRegistry';
+
+/**
+ * Load the stage class and preload any assets, returning a Promise.
+ * Unlike `PIXI.animate.load`, the Promise is rejected if any of the
+ * assets fail to load and loading can be cancelled.
+ * ```
+ * let controller = new AbortController();
+ * PIXI.animate.loadAsync({
+ *     stage: lib.MyStage,
+ *     parent: stage,
+ *     signal: controller.signal
+ * }).then((result) => {
+ *     // result.instance, result.loader, result.resources
+ * });
+ * ```
+ * @method PIXI.animate.loadAsync
+ * @param {Object} options Options for loading.
+ * @param {Function} options.stage Reference to the stage class
+ * @param {Object} [options.stage.assets] Assets used to preload
+ * @param {PIXI.Container} [options.parent] The Container to auto-add the stage to.
+ * @param {String} [options.basePath] Base root directory
+ * @param {PIXI.loaders.Loader} [options.loader] A Pixi loader object
+ * @param {Object} [options.metadata] A metadata object for the asset being loaded
+ * @param {Function} [options.onProgress] Called as each asset loads or fails, takes the
+ *        progress from 0 to 1 and the asset id.
+ * @param {Function} [options.onError] Called for each asset which fails to load, takes
+ *        the asset id and the error.
+ * @param {AbortSignal} [options.signal] Signal to cancel loading, anything with an `aborted`
+ *        property and `addEventListener`/`removeEventListener` methods can be used.
+ * @return {Promise<Object>} Resolves with `instance`, `loader` and `resources`, a map of
+ *         asset id to resource, including resources shared with other loaded stages.
+ */
+const loadAsync = function(options) {
+
+    options = Object.assign({
+        stage: null,
+        parent: null,
+        basePath: '',
+        loader: null,
+        metadata: null,
+        onProgress: null,
+        onError: null,
+        signal: null
+    }, options || {});
+
+    return new Promise((resolve, reject) => {
+        load({
+            stage: options.stage,
+            parent: options.parent,
+            basePath: options.basePath,
+            loader: options.loader,
+            metadata: options.metadata,
+            onProgress: options.onProgress,
+            onError: options.onError,
+            signal: options.signal,
+            complete(instance, loader) {
+                // Include resources shared with other stages
+                const resources = {};
+                const assets = options.stage.assets || {};
+                for (let id in assets) {
+                    resources[id] = AssetRegistry.get(id);
+                }
+                resolve({
+                    instance: instance,
+                    loader: loader,
+                    resources: resources
+                });
+            },
+            error: reject
+        });
+    });
+};
+
+export default loadAsync;
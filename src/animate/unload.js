@@ -0,0 +1,25 @@
+import AssetRegistry from './AssetRegistry';
+
+/**
+ * Unload the assets preloaded for a stage class. Assets are reference-counted,
+ * so assets shared with other loaded stages are kept until the last stage
+ * using them is unloaded. Each successful `load` of a stage should be matched
+ * by a call to `unload`.
+ * ```
+ * PIXI.animate.load(lib.MyStage, stage, (instance) => {
+ *     // later, when the stage is no longer needed
+ *     instance.destroy(true);
+ *     PIXI.animate.unload(lib.MyStage);
+ * });
+ * ```
+ * @method PIXI.animate.unload
+ * @param {Function} StageRef Reference to the stage class.
+ * @param {Object} [StageRef.assets] Assets which were preloaded.
+ */
+const unload = function(StageRef) {
+    if (StageRef && StageRef.assets) {
+        AssetRegistry.release(StageRef.assets);
+    }
+};
+
+export default unload;
@@ -1,6 +1,42 @@
 // If the movieclip plugin is installed
 let _prepare = null;
 
+// Identifies the binary shapes format, "PXSH"
+const BINARY_SHAPES_MAGIC = 0x48535850;
+
+// Version of the binary shapes format, other versions aren't supported
+const BINARY_SHAPES_VERSION = 2;
+
+// Size of the binary shapes header in bytes
+const BINARY_SHAPES_HEADER = 20;
+
+// Draw commands by their index in the binary shapes format,
+// only append to this list, changing the order requires a new version
+const BINARY_SHAPES_COMMANDS = [
+    'f', 's', 'm', 'l', 'q', 'b', 'c', 'h',
+    'dr', 'rr', 'rc', 'dc', 'ar', 'at', 'de',
+    'lf', 'rf', 'bf', 'sd', 'bs', 'ls', 'rs'
+];
+
+// Positions of the arguments which are strings, such as image names,
+// so that strings which are also command names aren't taken as commands
+const BINARY_SHAPES_STRING_ARGS = {
+    bf: [0, 1],
+    bs: [0, 2]
+};
+
+// Type tags of the arguments in the binary shapes format
+const ARG_NUMBER = 0;
+const ARG_COLOR = 1;
+const ARG_STRING = 2;
+const ARG_ARRAY = 3;
+const ARG_NULL = 4;
+const ARG_TRUE = 5;
+const ARG_FALSE = 6;
+
+// Hex colors which are stored as uints
+const HEX_COLOR = /^#([0-9a-f]{3}){1,2}$/i;
+
 /**
  * @namespace PIXI.animate.utils
  * @description For keyframe conversions
@@ -63,7 +99,11 @@ export default class AnimateUtils {
 
     /**
      * Convert serialized array into keyframes
-     * `"0x100y100 1x150"` to: `{ "0": {"x":100, "y": 100}, "1": {"x": 150} }`
+     * `"0x100y100 1x150"` to: `{ "0": {"x":100, "y": 100}, "1": {"x": 150} }`. Keyframes
+     * with an ease (`E`) tween to the next keyframe, see `PIXI.animate.Ease.get`, rotating
+     * in the direction (`O`) if there is one, see `PIXI.animate.Tween#_setRotate`, and
+     * tweening the tint in the color space (`S`) if there is one, see
+     * `PIXI.animate.Tween#_setColorSpace`.
      * @static
      * @method PIXI.animate.utils.deserializeKeyframes
      * @param {String} keyframes
@@ -83,7 +123,10 @@ export default class AnimateUtils {
             L: 'a', // alpha
             T: 't', // tint
             F: 'c', // colorTransform
-            V: 'v' // visibility
+            V: 'v', // visibility
+            E: 'e', // ease, tween to the next keyframe
+            O: 'o', // rotation direction of the tween
+            S: 'cs' // tint color space of the tween
         };
         let c,
             buffer = '',
@@ -147,6 +190,136 @@ export default class AnimateUtils {
         return result;
     }
 
+    /**
+     * Convert binary shapes into draw commands for PIXI.Graphics. The format is
+     * little-endian, starting with a 20 byte header: the magic number "PXSH",
+     * the version (Uint16), reserved (Uint16), the number of shapes, commands and
+     * arguments (Uint32 each). The header is followed by the number of commands
+     * in each shape (Uint32), the command index and number of arguments for each
+     * command (Uint8 pairs) and padding to a multiple of 4 bytes. Each argument
+     * follows, as a type (Uint8) and value: a number (Float32), a hex color (Uint32),
+     * a string (Uint32 length and Uint16 char codes), an array (Uint32 length and
+     * the arguments in the array), null, true or false (no value).
+     * @static
+     * @method PIXI.animate.utils.deserializeBinaryShapes
+     * @param {ArrayBuffer} buffer
+     * @return {Array} Resulting shapes map
+     */
+    static deserializeBinaryShapes(buffer) {
+        const header = new DataView(buffer, 0, BINARY_SHAPES_HEADER);
+        if (header.getUint32(0, true) !== BINARY_SHAPES_MAGIC) {
+            throw new Error("Invalid binary shapes data");
+        }
+        const version = header.getUint16(4, true);
+        if (version !== BINARY_SHAPES_VERSION) {
+            throw new Error("Unsupported binary shapes version " + version);
+        }
+        const numShapes = header.getUint32(8, true);
+        const numCommands = header.getUint32(12, true);
+
+        const view = new DataView(buffer);
+        const lengthsOffset = BINARY_SHAPES_HEADER;
+        let offset = lengthsOffset + numShapes * 4;
+        const commands = new Uint8Array(buffer, offset, numCommands * 2);
+        offset += align4(numCommands * 2);
+        const reader = {
+            view: view,
+            offset: offset
+        };
+
+        const result = [];
+        let c = 0;
+        for (let i = 0; i < numShapes; i++) {
+            const shape = [];
+            const length = view.getUint32(lengthsOffset + i * 4, true);
+            for (let end = c + length * 2; c < end; c += 2) {
+                const command = BINARY_SHAPES_COMMANDS[commands[c]];
+                if (!command) {
+                    throw new Error("Unknown binary shapes command " + commands[c]);
+                }
+                shape.push(command);
+                for (let j = commands[c + 1]; j > 0; j--) {
+                    shape.push(readBinaryArg(reader));
+                }
+            }
+            result.push(shape);
+        }
+        return result;
+    }
+
+    /**
+     * Convert draw commands into the binary shapes format,
+     * see `PIXI.animate.utils.deserializeBinaryShapes`. Arguments can be numbers,
+     * strings, arrays of arguments, booleans or null. Hex color strings are stored as uints.
+     * @static
+     * @method PIXI.animate.utils.serializeBinaryShapes
+     * @param {Array<Array>} shapes Collection of draw commands, colors can be hex strings or uints
+     * @return {ArrayBuffer} The binary shapes
+     */
+    static serializeBinaryShapes(shapes) {
+        const lengths = [];
+        const commands = [];
+        const args = [];
+        for (let i = 0; i < shapes.length; i++) {
+            const shape = shapes[i];
+            let length = 0;
+            let command = null;
+            for (let j = 0; j < shape.length; j++) {
+                const arg = shape[j];
+                const argIndex = command ? commands[commands.length - 1] : -1;
+                const stringArgs = command && BINARY_SHAPES_STRING_ARGS[command];
+                const isStringArg = !!stringArgs && stringArgs.indexOf(argIndex) > -1;
+                const index = typeof arg === 'string' && !isStringArg ?
+                    BINARY_SHAPES_COMMANDS.indexOf(arg) : -1;
+                if (index > -1) {
+                    commands.push(index, 0);
+                    command = arg;
+                    length++;
+                } else if (!command) {
+                    throw new Error("Shapes must start with a command");
+                } else if (++commands[commands.length - 1] > 255) {
+                    throw new Error("Too many arguments for a shapes command");
+                } else if (isStringArg && typeof arg === 'string') {
+                    // Keep strings such as image names as strings, even if they look like colors
+                    args.push({ string: arg });
+                } else {
+                    args.push(arg);
+                }
+            }
+            lengths.push(length);
+        }
+
+        const commandsSize = align4(commands.length);
+        let argsSize = 0;
+        for (let i = 0; i < args.length; i++) {
+            argsSize += binaryArgSize(args[i]);
+        }
+        const buffer = new ArrayBuffer(BINARY_SHAPES_HEADER +
+            lengths.length * 4 + commandsSize + argsSize);
+        const header = new DataView(buffer, 0, BINARY_SHAPES_HEADER);
+        header.setUint32(0, BINARY_SHAPES_MAGIC, true);
+        header.setUint16(4, BINARY_SHAPES_VERSION, true);
+        header.setUint32(8, lengths.length, true);
+        header.setUint32(12, commands.length / 2, true);
+        header.setUint32(16, args.length, true);
+
+        const view = new DataView(buffer);
+        let offset = BINARY_SHAPES_HEADER;
+        for (let i = 0; i < lengths.length; i++, offset += 4) {
+            view.setUint32(offset, lengths[i], true);
+        }
+        new Uint8Array(buffer, offset, commands.length).set(commands);
+        offset += commandsSize;
+        const writer = {
+            view: view,
+            offset: offset
+        };
+        for (let i = 0; i < args.length; i++) {
+            writeBinaryArg(writer, args[i]);
+        }
+        return buffer;
+    }
+
     /** 
      * Parse the value of the compressed keyframe.
      * @method PIXI.animate.utils.parseValue
@@ -158,7 +331,15 @@ export default class AnimateUtils {
      */
     static parseValue(prop, buffer) {
         switch (prop) {
-            // Color transforms are parsed as an array
+            // Eases are a number or an array
+            case 'e':
+                {
+                    if (buffer.indexOf(',') < 0) {
+                        return parseFloat(buffer);
+                    }
+                    return buffer.split(',').map(parseFloat);
+                }
+                // Color transforms are parsed as an array
             case 'c':
                 {
                     buffer = buffer.split(',');
@@ -168,8 +349,11 @@ export default class AnimateUtils {
                     return buffer;
                 }
                 // Tint value should not be converted
-                // can be color uint or string
+                // can be color uint or string,
+                // the rotation direction and color space are strings
             case 't':
+            case 'o':
+            case 'cs':
                 {
                     return buffer;
                 }
@@ -221,4 +405,150 @@ export default class AnimateUtils {
         }
         return false;
     }
+}
+
+/**
+ * Get the size of an argument in the binary shapes format.
+ * @method binaryArgSize
+ * @private
+ * @param {*} arg The argument, strings which aren't colors are wrapped as `{string}`
+ * @return {int} The size in bytes
+ */
+function binaryArgSize(arg) {
+    if (typeof arg === 'number') {
+        return 5;
+    }
+    if (typeof arg === 'string') {
+        return HEX_COLOR.test(arg) ? 5 : 5 + arg.length * 2;
+    }
+    if (arg && typeof arg.string === 'string') {
+        return 5 + arg.string.length * 2;
+    }
+    if (Array.isArray(arg)) {
+        let size = 5;
+        for (let i = 0; i < arg.length; i++) {
+            size += binaryArgSize(arg[i]);
+        }
+        return size;
+    }
+    if (arg === null || typeof arg === 'boolean') {
+        return 1;
+    }
+    throw new Error("Unsupported binary shapes argument " + arg);
+}
+
+/**
+ * Write an argument in the binary shapes format.
+ * @method writeBinaryArg
+ * @private
+ * @param {Object} writer The `view` to write to and the `offset` to write at
+ * @param {*} arg The argument, see `binaryArgSize`
+ */
+function writeBinaryArg(writer, arg) {
+    const view = writer.view;
+    let type;
+    if (typeof arg === 'number') {
+        type = ARG_NUMBER;
+    } else if (typeof arg === 'string') {
+        if (HEX_COLOR.test(arg)) {
+            type = ARG_COLOR;
+        } else {
+            type = ARG_STRING;
+            arg = { string: arg };
+        }
+    } else if (Array.isArray(arg)) {
+        type = ARG_ARRAY;
+    } else if (arg === null) {
+        type = ARG_NULL;
+    } else if (typeof arg === 'boolean') {
+        type = arg ? ARG_TRUE : ARG_FALSE;
+    } else {
+        // Wrapped string argument
+        type = ARG_STRING;
+    }
+    view.setUint8(writer.offset++, type);
+    switch (type) {
+        case ARG_NUMBER:
+            view.setFloat32(writer.offset, arg, true);
+            writer.offset += 4;
+            break;
+        case ARG_COLOR:
+            view.setUint32(writer.offset, AnimateUtils.hexToUint(arg), true);
+            writer.offset += 4;
+            break;
+        case ARG_STRING:
+            view.setUint32(writer.offset, arg.string.length, true);
+            writer.offset += 4;
+            for (let i = 0; i < arg.string.length; i++) {
+                view.setUint16(writer.offset, arg.string.charCodeAt(i), true);
+                writer.offset += 2;
+            }
+            break;
+        case ARG_ARRAY:
+            view.setUint32(writer.offset, arg.length, true);
+            writer.offset += 4;
+            for (let i = 0; i < arg.length; i++) {
+                writeBinaryArg(writer, arg[i]);
+            }
+            break;
+    }
+}
+
+/**
+ * Read an argument in the binary shapes format.
+ * @method readBinaryArg
+ * @private
+ * @param {Object} reader The `view` to read from and the `offset` to read at
+ * @return {*} The argument
+ */
+function readBinaryArg(reader) {
+    const view = reader.view;
+    const type = view.getUint8(reader.offset++);
+    let value, length;
+    switch (type) {
+        case ARG_NUMBER:
+            value = view.getFloat32(reader.offset, true);
+            reader.offset += 4;
+            return value;
+        case ARG_COLOR:
+            value = view.getUint32(reader.offset, true);
+            reader.offset += 4;
+            return value;
+        case ARG_STRING:
+            length = view.getUint32(reader.offset, true);
+            reader.offset += 4;
+            value = '';
+            for (let i = 0; i < length; i++) {
+                value += String.fromCharCode(view.getUint16(reader.offset, true));
+                reader.offset += 2;
+            }
+            return value;
+        case ARG_ARRAY:
+            length = view.getUint32(reader.offset, true);
+            reader.offset += 4;
+            value = [];
+            for (let i = 0; i < length; i++) {
+                value.push(readBinaryArg(reader));
+            }
+            return value;
+        case ARG_NULL:
+            return null;
+        case ARG_TRUE:
+            return true;
+        case ARG_FALSE:
+            return false;
+        default:
+            throw new Error("Unknown binary shapes argument type " + type);
+    }
+}
+
+/**
+ * Round up to a multiple of 4 bytes, to align typed arrays.
+ * @method align4
+ * @private
+ * @param {int} size Number of bytes
+ * @return {int} The aligned size
+ */
+function align4(size) {
+    return (size + 3) & ~3;
 }
\ No newline at end of file
@@ -5,6 +5,32 @@
  */
 const p = PIXI.Container.prototype;
 
+// Update the color transform before the transform, so children can use
+// the world color, see DisplayObject#setColorTransform. Only objects with
+// a color transform or within one have a world color.
+const updateTransform = p.updateTransform;
+p.updateTransform = function() {
+    const parent = this.parent;
+    if (!this._hasColorTransform && !(parent && parent._inColorTransform)) {
+        if (this._inColorTransform) {
+            this._resetWorldColor();
+        }
+        updateTransform.call(this);
+        return;
+    }
+    this._inColorTransform = true;
+    this._updateWorldColor();
+    if (this._alphaMultiplier === 1) {
+        updateTransform.call(this);
+    } else {
+        // The alpha multiplier applies like alpha to the world alpha of children
+        const alpha = this.alpha;
+        this.alpha *= this._alphaMultiplier;
+        updateTransform.call(this);
+        this.alpha = alpha;
+    }
+};
+
 /**
  * Shortcut for `addChild`.
  * @method PIXI.Container#ac
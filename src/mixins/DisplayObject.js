@@ -13,6 +13,9 @@ if (PIXI.filters) {
     ColorMatrixFilter = PIXI.filters.ColorMatrixFilter;
 }
 
+// World color for objects without a color transform
+const WHITE = [1, 1, 1];
+
 /**
  * Function to see if this is renderable or not. Useful for setting masks.
  * @method PIXI.DisplayObject#setRenderable
@@ -106,12 +109,6 @@ p.setTint = p.i = function(tint) {
     if (typeof tint === "string") {
         tint = utils.hexToUint(tint);
     }
-    // this.tint = tint
-    // return this;
-    // TODO: Replace with DisplayObject.tint setter
-    // once the functionality is added to Pixi.js, for
-    // now we'll use the slower ColorMatrixFilter to handle
-    // the color transformation
     var r = tint >> 16 & 0xFF;
     var g = tint >> 8 & 0xFF;
     var b = tint & 0xFF;
@@ -119,7 +116,13 @@ p.setTint = p.i = function(tint) {
 };
 
 /**
- * Set additive and multiply color, tinting
+ * Set additive and multiply color, tinting. Transforms which only multiply
+ * are applied by tinting the sprites and graphics within this object, which
+ * keeps them batched. Additive values are added when rendering the sprites and
+ * graphics with WebGL, see `PIXI.animate.ColorTransformRenderer`. Transforms with
+ * multipliers outside of 0 to 1 use the slower `colorTransformFilter`. The canvas
+ * renderer only draws the multipliers from 0 to 1, it doesn't support filters or
+ * shaders, so additive values and the filter are ignored.
  * @method PIXI.DisplayObject#setColorTransform
  * @param {Number} r The multiply red value
  * @param {Number} rA The additive red value
@@ -127,6 +130,8 @@ p.setTint = p.i = function(tint) {
  * @param {Number} gA The additive green value
  * @param {Number} b The multiply blue value
  * @param {Number} bA The additive blue value
+ * @param {Number} [a=1] The multiply alpha value
+ * @param {Number} [aA=0] The additive alpha value
  * @return {PIXI.DisplayObject} Object for chaining
  */
 /**
@@ -138,20 +143,198 @@ p.setTint = p.i = function(tint) {
  * @param {Number} gA The additive green value
  * @param {Number} b The multiply blue value
  * @param {Number} bA The additive blue value
+ * @param {Number} [a=1] The multiply alpha value
+ * @param {Number} [aA=0] The additive alpha value
  * @return {PIXI.DisplayObject} Object for chaining
  */
-p.setColorTransform = p.c = function(r, rA, g, gA, b, bA) {
-    var filter = this.colorTransformFilter;
-    filter.matrix[0] = r;
-    filter.matrix[4] = rA;
-    filter.matrix[6] = g;
-    filter.matrix[9] = gA;
-    filter.matrix[12] = b;
-    filter.matrix[14] = bA;
-    this.filters = [filter];
+p.setColorTransform = p.c = function(r, rA, g, gA, b, bA, a, aA) {
+    if (a === undefined) {
+        a = 1;
+    }
+    if (aA === undefined) {
+        aA = 0;
+    }
+    var transform = this._colorTransform = [r, rA, g, gA, b, bA, a, aA];
+    var isTint = isMultiplier(r) && isMultiplier(g) && isMultiplier(b) && isMultiplier(a);
+    if (isTint) {
+        removeFilter(this, this._colorTransformFilter);
+        this._colorMultiplier = r === 1 && g === 1 && b === 1 ? null : [r, g, b];
+        this._alphaMultiplier = a;
+        this._colorOffset = rA || gA || bA || aA ? [rA, gA, bA, aA] : null;
+        this._hasColorTransform = !!this._colorMultiplier || a !== 1 || !!this._colorOffset;
+    } else {
+        this._colorMultiplier = null;
+        this._alphaMultiplier = 1;
+        this._colorOffset = null;
+        this._hasColorTransform = true;
+        var filter = this.colorTransformFilter;
+        setFilterMatrix(filter, transform, WHITE, null);
+        if (!this.filters || this.filters.indexOf(filter) < 0) {
+            this.filters = (this.filters || []).concat(filter);
+        }
+    }
     return this;
 };
 
+/**
+ * The values last set with `setColorTransform`, used to tween from
+ * the current color transform. Replaced rather than changed.
+ * @name PIXI.DisplayObject#_colorTransform
+ * @type {Array<Number>}
+ * @private
+ * @default [1, 0, 1, 0, 1, 0, 1, 0]
+ */
+p._colorTransform = [1, 0, 1, 0, 1, 0, 1, 0];
+
+/**
+ * The red, green and blue multipliers of the color transform if it only multiplies,
+ * applied by tinting instead of a filter. `null` if there are no multipliers or
+ * the transform uses the filter.
+ * @name PIXI.DisplayObject#_colorMultiplier
+ * @type {Array<Number>}
+ * @private
+ */
+p._colorMultiplier = null;
+
+/**
+ * The alpha multiplier of the color transform if it only multiplies,
+ * applied like `alpha`.
+ * @name PIXI.DisplayObject#_alphaMultiplier
+ * @type {Number}
+ * @private
+ * @default 1
+ */
+p._alphaMultiplier = 1;
+
+/**
+ * The red, green, blue and alpha offsets of the color transform if it
+ * doesn't use the filter, `null` if there are no offsets.
+ * @name PIXI.DisplayObject#_colorOffset
+ * @type {Array<Number>}
+ * @private
+ */
+p._colorOffset = null;
+
+/**
+ * `true` if the color transform changes the color, set by `setColorTransform`.
+ * @name PIXI.DisplayObject#_hasColorTransform
+ * @type {Boolean}
+ * @private
+ */
+p._hasColorTransform = false;
+
+/**
+ * `true` if this object or any of its parents has a color transform, only
+ * these objects update their world color, see `PIXI.Container#updateTransform`.
+ * @name PIXI.DisplayObject#_inColorTransform
+ * @type {Boolean}
+ * @private
+ */
+p._inColorTransform = false;
+
+/**
+ * The red, green and blue multipliers of this object and its parents, applied
+ * as a tint when rendering sprites and graphics.
+ * @name PIXI.DisplayObject#_worldColor
+ * @type {Array<Number>}
+ * @private
+ */
+p._worldColor = WHITE;
+
+/**
+ * The red, green, blue and alpha offsets of this object and its parents, added
+ * when rendering sprites and graphics. `null` if there are no offsets.
+ * @name PIXI.DisplayObject#_worldOffset
+ * @type {Array<Number>}
+ * @private
+ */
+p._worldOffset = null;
+
+/**
+ * Update the world color from the parent, called before updating the transform.
+ * Objects using the `colorTransformFilter` include the world color of the parent
+ * in the filter, because the filter is applied after any tints of the children.
+ * @method PIXI.DisplayObject#_updateWorldColor
+ * @private
+ */
+p._updateWorldColor = function() {
+    const parent = this.parent;
+    const parentColor = parent ? parent._worldColor : WHITE;
+    const parentOffset = parent ? parent._worldOffset : null;
+    const multiplier = this._colorMultiplier;
+    const offset = this._colorOffset;
+    if (this._colorTransformFilter && this.filters &&
+        this.filters.indexOf(this._colorTransformFilter) > -1) {
+        setFilterMatrix(this._colorTransformFilter, this._colorTransform, parentColor, parentOffset);
+        this._worldColor = WHITE;
+        this._worldOffset = null;
+        return;
+    }
+    if (!offset) {
+        this._worldOffset = parentOffset;
+    } else {
+        // The offsets are multiplied by the color and alpha of the parents
+        let worldOffset = this._worldOffsetBuffer;
+        if (!worldOffset) {
+            worldOffset = this._worldOffsetBuffer = [0, 0, 0, 0];
+        }
+        const parentAlpha = parent ? parent.worldAlpha : 1;
+        worldOffset[0] = offset[0] * parentColor[0];
+        worldOffset[1] = offset[1] * parentColor[1];
+        worldOffset[2] = offset[2] * parentColor[2];
+        worldOffset[3] = offset[3] * parentAlpha;
+        if (parentOffset) {
+            worldOffset[0] += parentOffset[0];
+            worldOffset[1] += parentOffset[1];
+            worldOffset[2] += parentOffset[2];
+            worldOffset[3] += parentOffset[3];
+        }
+        this._worldOffset = worldOffset;
+    }
+    if (!multiplier) {
+        this._worldColor = parentColor;
+    } else if (parentColor === WHITE) {
+        this._worldColor = multiplier;
+    } else {
+        let color = this._worldColorBuffer;
+        if (!color) {
+            color = this._worldColorBuffer = [1, 1, 1];
+        }
+        color[0] = parentColor[0] * multiplier[0];
+        color[1] = parentColor[1] * multiplier[1];
+        color[2] = parentColor[2] * multiplier[2];
+        this._worldColor = color;
+    }
+};
+
+/**
+ * Reset the world color when neither this object or its parents have a color transform.
+ * @method PIXI.DisplayObject#_resetWorldColor
+ * @private
+ */
+p._resetWorldColor = function() {
+    this._inColorTransform = false;
+    this._worldColor = WHITE;
+    this._worldOffset = null;
+};
+
+/**
+ * Multiply a tint by the world color.
+ * @method PIXI.DisplayObject#_getWorldTint
+ * @private
+ * @param {int} tint The tint color value
+ * @return {int} The tint with the world color applied
+ */
+p._getWorldTint = function(tint) {
+    const color = this._worldColor;
+    if (color === WHITE) {
+        return tint;
+    }
+    return (Math.round((tint >> 16 & 0xFF) * color[0]) << 16) |
+        (Math.round((tint >> 8 & 0xFF) * color[1]) << 8) |
+        Math.round((tint & 0xFF) * color[2]);
+};
+
 /**
  * The current default color transforming filters
  * @name {PIXI.filters.ColorMatrixFilter} PIXI.DisplayObject#colorTransformFilter
@@ -162,7 +345,10 @@ if (!p.hasOwnProperty('colorTransformFilter')) {
             this._colorTransformFilter = filter;
         },
         get: function() {
-            return this._colorTransformFilter || new ColorMatrixFilter();
+            if (!this._colorTransformFilter) {
+                this._colorTransformFilter = new ColorMatrixFilter();
+            }
+            return this._colorTransformFilter;
         }
     });
 }
@@ -186,4 +372,59 @@ PIXI.DisplayObject.extend = PIXI.DisplayObject.e = function(child) {
     child.prototype.__parent = p;
     child.prototype.constructor = child;
     return child;
-};
\ No newline at end of file
+};
+
+/**
+ * Check if a color transform multiplier can be applied as a tint.
+ * @method isMultiplier
+ * @private
+ * @param {Number} value The multiplier
+ * @return {Boolean} If the multiplier is from 0 to 1
+ */
+function isMultiplier(value) {
+    return value >= 0 && value <= 1;
+}
+
+/**
+ * Set the matrix of a color transform filter.
+ * @method setFilterMatrix
+ * @private
+ * @param {PIXI.filters.ColorMatrixFilter} filter The filter
+ * @param {Array<Number>} transform The color transform
+ * @param {Array<Number>} color The red, green and blue multipliers of the parents
+ * @param {Array<Number>} offset The offsets of the parents, or null
+ */
+function setFilterMatrix(filter, transform, color, offset) {
+    const matrix = filter.matrix;
+    matrix[0] = transform[0] * color[0];
+    matrix[4] = transform[1] * color[0];
+    matrix[6] = transform[2] * color[1];
+    matrix[9] = transform[3] * color[1];
+    matrix[12] = transform[4] * color[2];
+    matrix[14] = transform[5] * color[2];
+    matrix[18] = transform[6];
+    matrix[19] = transform[7];
+    if (offset) {
+        matrix[4] += offset[0];
+        matrix[9] += offset[1];
+        matrix[14] += offset[2];
+        matrix[19] += offset[3];
+    }
+}
+
+/**
+ * Remove a filter from a display object.
+ * @method removeFilter
+ * @private
+ * @param {PIXI.DisplayObject} target The display object
+ * @param {PIXI.Filter} filter The filter to remove
+ */
+function removeFilter(target, filter) {
+    const filters = target.filters;
+    if (filter && filters && filters.indexOf(filter) > -1) {
+        const remaining = filters.filter(function(f) {
+            return f !== filter;
+        });
+        target.filters = remaining.length ? remaining : null;
+    }
+}
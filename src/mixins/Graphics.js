@@ -1,3 +1,6 @@
+import ColorTransformRenderer from '../animate/ColorTransformRenderer';
+import ShapesCache from '../animate/ShapesCache';
+
 /**
  * Mixins for the PIXI.Graphics class.
  * @memberof PIXI
@@ -5,6 +8,121 @@
  */
 const p = PIXI.Graphics.prototype;
 
+// Drawing state copied from shared geometry
+const STATE_PROPS = [
+    'fillColor', 'fillAlpha', 'filling', 'lineWidth', 'lineColor',
+    'lineAlpha', 'lineAlignment', 'nativeLines', 'boundsPadding'
+];
+
+// Pixi's methods, graphics with canvas shapes or shared
+// geometry use their own, see `_useAnimateCleanup`
+const clear = p.clear;
+const destroy = p.destroy;
+
+// Color offsets are added by a shader, even for rectangles which are otherwise
+// drawn as sprites, see DisplayObject#setColorTransform
+const renderWebGL = p._renderWebGL;
+p._renderWebGL = function(renderer) {
+    // Drawing after sharing geometry builds separate WebGL data
+    const geometry = this._sharedGeometry;
+    if (geometry && this._webGL === geometry._webGL &&
+        (this.dirty !== geometry.dirty || this.clearDirty !== geometry.clearDirty)) {
+        this._webGL = {};
+    }
+    if (this._worldOffset) {
+        renderer.plugins[ColorTransformRenderer.PLUGIN_NAME].renderGraphics(this);
+    } else {
+        renderWebGL.call(this, renderer);
+    }
+};
+
+// Apply the color transforms of the graphics and its parents as a tint, the
+// canvas renderer doesn't draw color offsets, see DisplayObject#setColorTransform
+['_renderWebGL', '_renderCanvas'].forEach(function(name) {
+    const render = p[name];
+    p[name] = function(renderer) {
+        const tint = this.tint;
+        this.tint = this._getWorldTint(tint);
+        render.call(this, renderer);
+        this.tint = tint;
+    };
+});
+
+const renderCanvas = p._renderCanvas;
+p._renderCanvas = function(renderer) {
+    // The canvas renderer stores the tinted colors on the graphics
+    // data, which other instances may have changed
+    if (this._sharedGeometry) {
+        this.canvasTintDirty = -1;
+    }
+    renderCanvas.call(this, renderer);
+};
+
+/**
+ * The geometry drawn from the same commands in the ShapesCache, whose
+ * graphics data and WebGL data are shared with other instances.
+ * @name PIXI.Graphics#_sharedGeometry
+ * @type {PIXI.Graphics}
+ * @private
+ */
+p._sharedGeometry = null;
+
+/**
+ * The fill drawn with the canvas for the current shapes, see `lf`, `rf` and `bf`.
+ * @name PIXI.Graphics#_canvasFill
+ * @type {Object}
+ * @private
+ */
+p._canvasFill = null;
+
+/**
+ * The stroke drawn with the canvas for the current shapes, see `bs`.
+ * @name PIXI.Graphics#_canvasStroke
+ * @type {Object}
+ * @private
+ */
+p._canvasStroke = null;
+
+/**
+ * Index of the first graphics data drawn with the canvas fill or stroke.
+ * @name PIXI.Graphics#_canvasStart
+ * @type {int}
+ * @private
+ */
+p._canvasStart = -1;
+
+/**
+ * The canvas sprites and the index of the graphics data they're drawn before.
+ * @name PIXI.Graphics#_canvasSprites
+ * @type {Array<Object>}
+ * @private
+ */
+p._canvasSprites = null;
+
+/**
+ * The canvas sprites and the Graphics layered between them, added as children.
+ * @name PIXI.Graphics#_canvasChildren
+ * @type {Array<PIXI.DisplayObject>}
+ * @private
+ */
+p._canvasChildren = null;
+
+/**
+ * The dash segments and offset for strokes, see `sd`.
+ * @name PIXI.Graphics#_strokeDash
+ * @type {Object}
+ * @private
+ */
+p._strokeDash = null;
+
+/**
+ * Index of the first graphics data to split into dashes, see `sd`.
+ * @name PIXI.Graphics#_dashStart
+ * @type {int}
+ * @private
+ */
+p._dashStart = 0;
+
 /**
  * Shortcut for `drawCommands`.
  * @method PIXI.Graphics#d
@@ -13,12 +131,34 @@ const p = PIXI.Graphics.prototype;
  */
 /**
  * Execute a series of commands, this is the name of the short function
- * followed by the parameters, e.g., `["f", "#ff0000", "r", 0, 0, 100, 200]`
+ * followed by the parameters, e.g., `["f", "#ff0000", "r", 0, 0, 100, 200]`.
+ * Commands from the ShapesCache are only drawn once, instances share the
+ * resulting geometry. Drawing after sharing starts a new path, so the
+ * shared geometry isn't changed.
  * @method PIXI.Graphics#drawCommands
  * @param  {Array} commands The commands and parameters to draw
  * @return {PIXI.Graphics}
  */
 p.drawCommands = p.d = function(commands) {
+    if (!this.graphicsData.length) {
+        const geometry = ShapesCache.getGeometry(commands);
+        // Geometry with canvas fills can't be shared, but the fill
+        // textures are cached so drawing the commands is still cheap
+        if (geometry) {
+            return this._shareGeometry(geometry);
+        }
+    }
+    return this._drawCommands(commands);
+};
+
+/**
+ * Execute a series of commands without using shared geometry.
+ * @method PIXI.Graphics#_drawCommands
+ * @private
+ * @param  {Array} commands The commands and parameters to draw
+ * @return {PIXI.Graphics}
+ */
+p._drawCommands = function(commands) {
     var currentCommand, params = [],
         i = 0;
 
@@ -34,9 +174,61 @@ p.drawCommands = p.d = function(commands) {
             params.push(item);
         }
     }
+    this._endDashes();
+    this._endCanvasShapes();
+    this._layerCanvasSprites();
+    return this;
+};
+
+/**
+ * Use the graphics data and the WebGL data built from it of another Graphics
+ * object. The last graphics data is copied so holes can be added to it, other
+ * data is only read. Drawing more builds separate WebGL data when rendered.
+ * @method PIXI.Graphics#_shareGeometry
+ * @private
+ * @param {PIXI.Graphics} geometry The Graphics to share data with
+ * @return {PIXI.Graphics}
+ */
+p._shareGeometry = function(geometry) {
+    const graphicsData = this.graphicsData = geometry.graphicsData.slice();
+    const last = graphicsData.length - 1;
+    if (last > -1) {
+        const data = graphicsData[last].clone();
+        data.holes = graphicsData[last].holes.slice();
+        graphicsData[last] = data;
+    }
+    this.currentPath = null;
+    for (let i = 0; i < STATE_PROPS.length; i++) {
+        const prop = STATE_PROPS[i];
+        if (prop in geometry) {
+            this[prop] = geometry[prop];
+        }
+    }
+    // Release the WebGL data built before clearing
+    releaseGeometry(this);
+    destroyWebGL(this);
+    this._webGL = geometry._webGL;
+    this.dirty = geometry.dirty;
+    this.clearDirty = geometry.clearDirty;
+    this.boundsDirty = -1;
+    this.fastRectDirty = -1;
+    this._sharedGeometry = geometry;
+    ShapesCache.retainGeometry(geometry);
+    this._useAnimateCleanup();
     return this;
 };
 
+/**
+ * Use the Animate `clear` and `destroy` for this graphics, which release the shapes
+ * drawn with the canvas and shared geometry. Other graphics use Pixi's methods.
+ * @method PIXI.Graphics#_useAnimateCleanup
+ * @private
+ */
+p._useAnimateCleanup = function() {
+    this.clear = clearAnimate;
+    this.destroy = destroyAnimate;
+};
+
 /**
  * Closes the current path, effectively drawing a line from the current drawing point to the first drawing point specified
  * since the fill or stroke was last set.
@@ -97,17 +289,39 @@ p.q = p.quadraticCurveTo;
 p.b = p.bezierCurveTo;
 
 /**
- * Shortcut to `beginFill`.
+ * Shortcut to `beginFill`, which also ends the shapes drawn with a canvas fill, see `lf`.
  * @method PIXI.Graphics#f
  * @param {Uint} color The hex color value (e.g. 0xFFFFFF)
  * null will result in no fill.
  * @param {Number} [alpha=1] The alpha value of fill
  * @return {PIXI.Graphics} The Graphics instance the method is called on (useful for chaining calls.)
  **/
-p.f = p.beginFill;
+p.f = function() {
+    this._endCanvasShapes();
+    this._canvasFill = null;
+    this.beginFill.apply(this, arguments);
+    this._continueCanvasShapes();
+    return this;
+};
+
+/**
+ * Shortcut to `endFill`, which also adds the shapes drawn with a canvas fill or stroke,
+ * see `lf`, and splits dashed strokes, see `sd`.
+ * @method PIXI.Graphics#ef
+ * @return {PIXI.Graphics} The Graphics instance the method is called on (useful for chaining calls.)
+ **/
+p.ef = function() {
+    this._endDashes();
+    this._endCanvasShapes();
+    this._canvasFill = null;
+    this._layerCanvasSprites();
+    this.endFill();
+    this._continueCanvasShapes();
+    return this;
+};
 
 /**
- * Shortcut to `lineStyle`.
+ * Shortcut to `lineStyle`, which also ends the shapes drawn with a canvas stroke, see `bs`.
  * @method PIXI.Graphics#s
  * @param {String} color A CSS compatible color value (ex. "#FF0000", "red", or "rgba(255,0,0,0.5)"). Setting to
  * null will result in no stroke.
@@ -115,7 +329,13 @@ p.f = p.beginFill;
  * @param {Number} [alpha=1] The alpha value from 0 (invisibile) to 1 (visible)
  * @return {PIXI.Graphics} The Graphics instance the method is called on (useful for chaining calls.)
  **/
-p.s = p.lineStyle;
+p.s = function() {
+    this._endCanvasShapes();
+    this._canvasStroke = null;
+    this.lineStyle.apply(this, arguments);
+    this._continueCanvasShapes();
+    return this;
+};
 
 /**
  * Shortcut to `drawRect`.
@@ -210,67 +430,337 @@ p.at = p.arcTo;
 p.de = p.drawEllipse;
 
 /**
- * Placeholder method for a linear fill. Pixi does not support linear fills,
- * so we just pick the first color in colorArray
+ * Begin a linear gradient fill. Pixi does not support gradient fills, so the
+ * shapes drawn with the fill are drawn with the canvas into a texture which is
+ * added as a child sprite. Following shapes are added as child Graphics so they're
+ * drawn in the same order. Textures are cached, so shapes drawn from the same
+ * commands share textures. Only the shortcut methods such as `f` and `ef` end the
+ * fill, the sprites are added at the end of `drawCommands` or by `ef`. The textures
+ * are drawn once, at the size of the shapes times `PIXI.settings.RESOLUTION`, so
+ * shapes which are scaled up look blurred, increase `PIXI.settings.RESOLUTION`
+ * before drawing to keep them sharp.
  * @method PIXI.Graphics#lf
- * @param {Array} colorArray An array of CSS compatible color values @see `f`
+ * @param {Array} colors An array of CSS compatible color values or uints
+ * @param {Array<Number>} ratios The position of each color, from 0 to 1
+ * @param {Number} x0 The x position of the start of the gradient
+ * @param {Number} y0 The y position of the start of the gradient
+ * @param {Number} x1 The x position of the end of the gradient
+ * @param {Number} y1 The y position of the end of the gradient
+ * @param {Array<Number>} [matrix] Transform of the gradient as `[a, b, c, d, tx, ty]`
  * @return {PIXI.Graphics} The Graphics instance the method is called on (useful for chaining calls.)
  **/
-p.lf = function(colorArray) {
-    // @if DEBUG
-    console.warn("Linear gradient fills are not supported");
-    // @endif
-    return this.f(colorArray[0]);
+p.lf = function(colors, ratios, x0, y0, x1, y1, matrix) {
+    return this._beginCanvasFill({
+        type: 'linear',
+        colors: colors,
+        ratios: ratios,
+        coords: [x0, y0, x1, y1],
+        matrix: matrix || null
+    });
 };
 
 /**
- * Placeholder method for a radial fill. Pixi does not support radial fills,
- * so we just pick the first color in colorArray
+ * Begin a radial gradient fill, see `lf` for how gradients are drawn.
  * @method PIXI.Graphics#rf
- * @param {Array} colorArray An array of CSS compatible color values @see `f`
+ * @param {Array} colors An array of CSS compatible color values or uints
+ * @param {Array<Number>} ratios The position of each color, from 0 to 1
+ * @param {Number} x0 The x position of the center of the inner circle
+ * @param {Number} y0 The y position of the center of the inner circle
+ * @param {Number} r0 The radius of the inner circle
+ * @param {Number} x1 The x position of the center of the outer circle
+ * @param {Number} y1 The y position of the center of the outer circle
+ * @param {Number} r1 The radius of the outer circle
+ * @param {Array<Number>} [matrix] Transform of the gradient as `[a, b, c, d, tx, ty]`
  * @return {PIXI.Graphics} The Graphics instance the method is called on (useful for chaining calls.)
  **/
-p.rf = function(colorArray) {
-    // @if DEBUG
-    console.warn("Radial gradient fills are not supported");
-    // @endif
-    return this.f(colorArray[0]);
+p.rf = function(colors, ratios, x0, y0, r0, x1, y1, r1, matrix) {
+    return this._beginCanvasFill({
+        type: 'radial',
+        colors: colors,
+        ratios: ratios,
+        coords: [x0, y0, r0, x1, y1, r1],
+        matrix: matrix || null
+    });
+};
+
+/**
+ * Begin a fill which is drawn with the canvas.
+ * @method PIXI.Graphics#_beginCanvasFill
+ * @private
+ * @param {Object} fill The fill description
+ * @param {String} fill.type The type of fill, e.g. "linear", "radial" or "bitmap"
+ * @param {Array<Number>} [fill.matrix] Transform of the fill
+ * @return {PIXI.Graphics}
+ */
+p._beginCanvasFill = function(fill) {
+    this.f(0xffffff, 1);
+    this._useAnimateCleanup();
+    this._canvasFill = fill;
+    this._canvasStart = this.graphicsData.length;
+    return this;
 };
 
 /**
- * Placeholder method for a `beginBitmapFill`. Pixi does not support bitmap fills.
+ * Begin a stroke which is drawn with the canvas.
+ * @method PIXI.Graphics#_beginCanvasStroke
+ * @private
+ * @param {Object} stroke The stroke description, see `_beginCanvasFill`
+ * @param {Number} thickness The thickness of the stroke
+ * @return {PIXI.Graphics}
+ */
+p._beginCanvasStroke = function(stroke, thickness) {
+    this.s(thickness, 0xffffff, 1);
+    this._useAnimateCleanup();
+    this._canvasStroke = stroke;
+    this._canvasStart = this.graphicsData.length;
+    return this;
+};
+
+/**
+ * Draw the following shapes with the canvas if the fill or stroke is
+ * still drawn with the canvas, after the other style changed.
+ * @method PIXI.Graphics#_continueCanvasShapes
+ * @private
+ */
+p._continueCanvasShapes = function() {
+    if (this._canvasFill || this._canvasStroke) {
+        this._canvasStart = this.graphicsData.length;
+    }
+};
+
+/**
+ * Draw the shapes since the canvas fill or stroke began into a texture.
+ * @method PIXI.Graphics#_endCanvasShapes
+ * @private
+ */
+p._endCanvasShapes = function() {
+    if (this._canvasStart < 0) {
+        return;
+    }
+    // Dash the shapes before they're drawn
+    this._endDashes();
+    const data = this.graphicsData.splice(this._canvasStart);
+    this._canvasStart = -1;
+    this._dashStart = Math.min(this._dashStart, this.graphicsData.length);
+    if (data.indexOf(this.currentPath) > -1) {
+        this.currentPath = null;
+    }
+    if (!data.length) {
+        return;
+    }
+    this.dirty++;
+    this.clearDirty++;
+    this.boundsDirty = -1;
+    if (!this._canvasSprites) {
+        this._canvasSprites = [];
+    }
+    this._canvasSprites.push({
+        index: this.graphicsData.length,
+        sprite: createCanvasSprite(data, {
+            fill: this._canvasFill,
+            stroke: this._canvasStroke
+        })
+    });
+};
+
+/**
+ * Add the canvas sprites as children, with the shapes drawn after
+ * each sprite added as child Graphics to keep the drawing order.
+ * @method PIXI.Graphics#_layerCanvasSprites
+ * @private
+ */
+p._layerCanvasSprites = function() {
+    const sprites = this._canvasSprites;
+    if (!sprites) {
+        return;
+    }
+    this._canvasSprites = null;
+    const graphicsData = this.graphicsData;
+    this.graphicsData = graphicsData.slice(0, sprites[0].index);
+    if (!this._canvasChildren) {
+        this._canvasChildren = [];
+    }
+    for (let i = 0; i < sprites.length; i++) {
+        this.addChild(sprites[i].sprite);
+        this._canvasChildren.push(sprites[i].sprite);
+        const start = sprites[i].index;
+        const end = i < sprites.length - 1 ? sprites[i + 1].index : graphicsData.length;
+        if (end > start) {
+            const layer = new PIXI.Graphics();
+            layer.graphicsData = graphicsData.slice(start, end);
+            layer.dirty++;
+            this.addChild(layer);
+            this._canvasChildren.push(layer);
+        }
+    }
+    if (this.graphicsData.indexOf(this.currentPath) < 0) {
+        this.currentPath = null;
+    }
+    this._dashStart = Math.min(this._dashStart, this.graphicsData.length);
+    this.dirty++;
+    this.clearDirty++;
+    this.boundsDirty = -1;
+};
+
+/**
+ * Remove and destroy the children added for shapes drawn with the canvas.
+ * @method PIXI.Graphics#_destroyCanvasChildren
+ * @private
+ */
+p._destroyCanvasChildren = function() {
+    const children = this._canvasChildren;
+    const sprites = this._canvasSprites;
+    this._canvasChildren = null;
+    this._canvasSprites = null;
+    if (children) {
+        for (let i = 0; i < children.length; i++) {
+            if (children[i].parent === this) {
+                this.removeChild(children[i]);
+            }
+            children[i].destroy();
+        }
+    }
+    // Sprites which haven't been added yet
+    if (sprites) {
+        for (let i = 0; i < sprites.length; i++) {
+            sprites[i].sprite.destroy();
+        }
+    }
+};
+
+/**
+ * Begin a bitmap fill. Like gradient fills, shapes drawn with the fill are drawn
+ * with the canvas, see `lf`.
  * @method PIXI.Graphics#bf
+ * @param {String|PIXI.Texture} image The texture or the name of the texture in the cache,
+ *        such as the short symbol name of a loaded bitmap or atlas frame
+ * @param {String|Boolean} [repetition="repeat"] How the bitmap repeats, "repeat", "repeat-x",
+ *        "repeat-y" or "no-repeat", `false` is the same as "no-repeat"
+ * @param {Array<Number>} [matrix] Transform of the bitmap as `[a, b, c, d, tx, ty]`
  * @return {PIXI.Graphics} The Graphics instance the method is called on (useful for chaining calls.)
  **/
-p.bf = function() {
-    // @if DEBUG
-    console.warn("Bitmap fills are not supported");
-    // @endif
-    return this.f(0x0);
+p.bf = function(image, repetition, matrix) {
+    const fill = createBitmapStyle(image, repetition, matrix);
+    if (!fill) {
+        // @if DEBUG
+        console.warn("Bitmap fill image '" + image + "' not found");
+        // @endif
+        return this.f(0x0);
+    }
+    return this._beginCanvasFill(fill);
 };
 
 /**
- * Placeholder method for a `setStrokeDash`. Pixi does not support dashed strokes.
+ * Set the dashes for strokes of following paths and shapes. Pixi does not support
+ * dashed strokes, so the strokes are split into separate strokes for each dash.
+ * The strokes are split at the end of `drawCommands`, by `ef` or by the next `sd`,
+ * the path being drawn then ends.
  * @method PIXI.Graphics#sd
+ * @param {Array<Number>} [segments] Lengths of the dashes and gaps, starting with a dash,
+ *        an odd number of lengths is repeated. Empty or null for solid strokes.
+ * @param {Number} [offset=0] How far into the segments to start each path
  * @return {PIXI.Graphics} The Graphics instance the method is called on (useful for chaining calls.)
  **/
-p.sd = function() {
-    // @if DEBUG
-    console.warn("Dashed strokes are not supported");
-    // @endif
+p.sd = function(segments, offset) {
+    this._endDashes();
+    let total = 0;
+    if (segments) {
+        if (segments.length % 2) {
+            segments = segments.concat(segments);
+        }
+        for (let i = 0; i < segments.length; i++) {
+            total += Math.max(0, segments[i]);
+        }
+    }
+    this._strokeDash = total > 0 ? {
+        segments: segments.map(function(length) {
+            return Math.max(0, length);
+        }),
+        offset: offset || 0,
+        total: total
+    } : null;
+    if (this._strokeDash) {
+        // The path being drawn is also dashed
+        const index = this.graphicsData.indexOf(this.currentPath);
+        this._dashStart = index > -1 ? index : this.graphicsData.length;
+        this._useAnimateCleanup();
+    }
     return this;
 };
 
 /**
- * Placeholder method for a `beginBitmapStroke`. Pixi does not support bitmap strokes.
+ * Split the strokes of the paths and shapes drawn since `sd` into dashes. The dashes of
+ * each path, shape or hole are added after its graphics data, which is no longer stroked.
+ * @method PIXI.Graphics#_endDashes
+ * @private
+ */
+p._endDashes = function() {
+    const dash = this._strokeDash;
+    const graphicsData = this.graphicsData;
+    const start = this._dashStart;
+    if (!dash || start >= graphicsData.length) {
+        return;
+    }
+    const data = graphicsData.splice(start);
+    // The shapes drawn with the canvas move with the dashes added before them
+    let canvasStart = -1;
+    for (let i = 0; i < data.length; i++) {
+        if (start + i === this._canvasStart) {
+            canvasStart = graphicsData.length;
+        }
+        const path = data[i];
+        graphicsData.push(path);
+        if (!path.lineWidth) {
+            continue;
+        }
+        const outlines = [path.shape].concat(path.holes);
+        for (let j = 0; j < outlines.length; j++) {
+            const lines = dashOutline(getOutline(outlines[j]), dash);
+            for (let k = 0; k < lines.length; k++) {
+                const shape = new PIXI.Polygon(lines[k]);
+                shape.closed = false;
+                graphicsData.push(new PIXI.GraphicsData(
+                    path.lineWidth, path.lineColor, path.lineAlpha,
+                    path.fillColor, path.fillAlpha, false,
+                    path.nativeLines, shape, path.lineAlignment
+                ));
+            }
+        }
+        // The dashes replace the stroke
+        path.lineWidth = 0;
+    }
+    if (this._canvasStart >= start) {
+        this._canvasStart = canvasStart > -1 ? canvasStart : graphicsData.length;
+    }
+    if (data.indexOf(this.currentPath) > -1) {
+        this.currentPath = null;
+    }
+    this._dashStart = graphicsData.length;
+    this.dirty++;
+    this.clearDirty++;
+    this.boundsDirty = -1;
+};
+
+/**
+ * Begin a bitmap stroke, shapes drawn with the stroke are drawn with the canvas, see `lf`.
  * @method PIXI.Graphics#bs
+ * @param {String|PIXI.Texture} image The texture or the name of the texture in the cache,
+ *        such as the short symbol name of a loaded bitmap or atlas frame
+ * @param {Number} [thickness=1] The thickness of the stroke
+ * @param {String|Boolean} [repetition="repeat"] How the bitmap repeats, "repeat", "repeat-x",
+ *        "repeat-y" or "no-repeat", `false` is the same as "no-repeat"
+ * @param {Array<Number>} [matrix] Transform of the bitmap as `[a, b, c, d, tx, ty]`
  * @return {PIXI.Graphics} The Graphics instance the method is called on (useful for chaining calls.)
  **/
-p.bs = function() {
-    // @if DEBUG
-    console.warn("Bitmap strokes are not supported");
-    // @endif
-    return this;
+p.bs = function(image, thickness, repetition, matrix) {
+    const stroke = createBitmapStyle(image, repetition, matrix);
+    if (!stroke) {
+        // @if DEBUG
+        console.warn("Bitmap stroke image '" + image + "' not found");
+        // @endif
+        return this;
+    }
+    return this._beginCanvasStroke(stroke, thickness === undefined ? 1 : thickness);
 };
 
 /**
@@ -295,4 +785,563 @@ p.rs = function() {
     console.warn("Radial gradient strokes are not supported");
     // @endif
     return this;
-};
\ No newline at end of file
+};
+
+// Cache of textures drawn with the canvas, with the number of sprites using each texture
+const canvasTextures = {};
+
+/**
+ * Sprite for shapes drawn with the canvas. The texture is cached and shared,
+ * it's destroyed with the last sprite using it.
+ * @class CanvasSprite
+ * @private
+ * @param {String} key The cache key of the texture
+ */
+class CanvasSprite extends PIXI.Sprite {
+    constructor(key) {
+        const cached = canvasTextures[key];
+        super(cached.texture);
+        cached.count++;
+        this._canvasKey = key;
+    }
+
+    destroy() {
+        const key = this._canvasKey;
+        if (key) {
+            this._canvasKey = null;
+            const cached = canvasTextures[key];
+            if (--cached.count === 0) {
+                delete canvasTextures[key];
+                cached.texture.destroy(true);
+            }
+        }
+        super.destroy(false);
+    }
+}
+
+/**
+ * Create a sprite with the shapes drawn using the canvas.
+ * @method createCanvasSprite
+ * @private
+ * @param {Array<PIXI.GraphicsData>} data The shapes to draw
+ * @param {Object} style The canvas `fill` and `stroke` descriptions, null to use the shape's colors
+ * @return {PIXI.Sprite} The sprite positioned at the bounds of the shapes
+ */
+function createCanvasSprite(data, style) {
+    const bounds = getBounds(data);
+    const key = JSON.stringify([style, data.map(serializeGraphicsData)]);
+    if (!canvasTextures[key]) {
+        const resolution = PIXI.settings.RESOLUTION;
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.ceil(bounds.width * resolution));
+        canvas.height = Math.max(1, Math.ceil(bounds.height * resolution));
+        const context = canvas.getContext('2d');
+        context.setTransform(resolution, 0, 0, resolution,
+            -bounds.x * resolution, -bounds.y * resolution);
+        for (let i = 0; i < data.length; i++) {
+            drawGraphicsData(context, data[i], style);
+        }
+        const baseTexture = new PIXI.BaseTexture(canvas, undefined, resolution);
+        canvasTextures[key] = {
+            texture: new PIXI.Texture(baseTexture),
+            count: 0
+        };
+    }
+    const sprite = new CanvasSprite(key);
+    sprite.position.set(bounds.x, bounds.y);
+    return sprite;
+}
+
+/**
+ * Get the bounds of shapes, including strokes.
+ * @method getBounds
+ * @private
+ * @param {Array<PIXI.GraphicsData>} data The shapes
+ * @return {PIXI.Rectangle} The bounds, rounded out to whole pixels
+ */
+function getBounds(data) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (let i = 0; i < data.length; i++) {
+        const shape = data[i].shape;
+        const pad = data[i].lineWidth / 2;
+        let x, y, w, h;
+        if (shape.type === PIXI.SHAPES.POLY) {
+            const points = shape.points;
+            for (let j = 0; j < points.length; j += 2) {
+                minX = Math.min(minX, points[j] - pad);
+                maxX = Math.max(maxX, points[j] + pad);
+                minY = Math.min(minY, points[j + 1] - pad);
+                maxY = Math.max(maxY, points[j + 1] + pad);
+            }
+            continue;
+        } else if (shape.type === PIXI.SHAPES.CIRC) {
+            x = shape.x - shape.radius;
+            y = shape.y - shape.radius;
+            w = h = shape.radius * 2;
+        } else if (shape.type === PIXI.SHAPES.ELIP) {
+            x = shape.x - shape.width;
+            y = shape.y - shape.height;
+            w = shape.width * 2;
+            h = shape.height * 2;
+        } else {
+            x = shape.x;
+            y = shape.y;
+            w = shape.width;
+            h = shape.height;
+        }
+        minX = Math.min(minX, x - pad);
+        minY = Math.min(minY, y - pad);
+        maxX = Math.max(maxX, x + w + pad);
+        maxY = Math.max(maxY, y + h + pad);
+    }
+    minX = Math.floor(minX);
+    minY = Math.floor(minY);
+    return new PIXI.Rectangle(minX, minY,
+        Math.ceil(maxX) - minX, Math.ceil(maxY) - minY);
+}
+
+/**
+ * Get the values which describe how a shape is drawn, to use as a cache key.
+ * @method serializeGraphicsData
+ * @private
+ * @param {PIXI.GraphicsData} data The shape
+ * @return {Array} The values
+ */
+function serializeGraphicsData(data) {
+    return [
+        data.fill, data.fillColor, data.fillAlpha,
+        data.lineWidth, data.lineColor, data.lineAlpha,
+        serializeShape(data.shape), data.holes.map(serializeShape)
+    ];
+}
+
+/**
+ * Get the values which describe a shape.
+ * @method serializeShape
+ * @private
+ * @param {PIXI.Polygon|PIXI.Rectangle|PIXI.Circle|PIXI.Ellipse|PIXI.RoundedRectangle} shape
+ * @return {Array} The values
+ */
+function serializeShape(shape) {
+    return [shape.type, shape.closed !== false, shape.points ||
+        [shape.x, shape.y, shape.width, shape.height, shape.radius]];
+}
+
+/**
+ * Draw a shape with the canvas.
+ * @method drawGraphicsData
+ * @private
+ * @param {CanvasRenderingContext2D} context The canvas context
+ * @param {PIXI.GraphicsData} data The shape to draw
+ * @param {Object} style The canvas `fill` and `stroke` descriptions, null to use the shape's colors
+ */
+function drawGraphicsData(context, data, style) {
+    context.beginPath();
+    tracePath(context, data.shape);
+    for (let i = 0; i < data.holes.length; i++) {
+        tracePath(context, data.holes[i]);
+    }
+    if (data.fill) {
+        context.save();
+        if (style.fill) {
+            // Bitmap patterns are transformed by `createPattern`
+            if (style.fill.matrix && style.fill.type !== 'bitmap') {
+                context.transform.apply(context, style.fill.matrix);
+            }
+            context.fillStyle = createStyle(context, style.fill);
+        } else {
+            context.globalAlpha = data.fillAlpha;
+            context.fillStyle = toColor(data.fillColor);
+        }
+        context.fill(data.holes.length ? 'evenodd' : 'nonzero');
+        context.restore();
+    }
+    if (data.lineWidth) {
+        context.save();
+        context.lineWidth = data.lineWidth;
+        if (style.stroke) {
+            context.strokeStyle = createStyle(context, style.stroke);
+        } else {
+            context.globalAlpha = data.lineAlpha;
+            context.strokeStyle = toColor(data.lineColor);
+        }
+        context.stroke();
+        context.restore();
+    }
+}
+
+/**
+ * Add the path of a shape to the canvas.
+ * @method tracePath
+ * @private
+ * @param {CanvasRenderingContext2D} context The canvas context
+ * @param {PIXI.Polygon|PIXI.Rectangle|PIXI.Circle|PIXI.Ellipse|PIXI.RoundedRectangle} shape
+ */
+function tracePath(context, shape) {
+    switch (shape.type) {
+        case PIXI.SHAPES.POLY: {
+            const points = shape.points;
+            context.moveTo(points[0], points[1]);
+            for (let i = 2; i < points.length; i += 2) {
+                context.lineTo(points[i], points[i + 1]);
+            }
+            if (shape.closed !== false) {
+                context.closePath();
+            }
+            break;
+        }
+        case PIXI.SHAPES.RECT:
+            context.rect(shape.x, shape.y, shape.width, shape.height);
+            break;
+        case PIXI.SHAPES.CIRC:
+            context.moveTo(shape.x + shape.radius, shape.y);
+            context.arc(shape.x, shape.y, shape.radius, 0, 2 * Math.PI);
+            context.closePath();
+            break;
+        case PIXI.SHAPES.ELIP:
+            context.moveTo(shape.x + shape.width, shape.y);
+            context.save();
+            context.translate(shape.x, shape.y);
+            context.scale(shape.width, shape.height);
+            context.arc(0, 0, 1, 0, 2 * Math.PI);
+            context.restore();
+            context.closePath();
+            break;
+        case PIXI.SHAPES.RREC: {
+            const x = shape.x;
+            const y = shape.y;
+            const w = shape.width;
+            const h = shape.height;
+            const r = Math.min(shape.radius, Math.min(w, h) / 2);
+            context.moveTo(x, y + r);
+            context.arcTo(x, y + h, x + r, y + h, r);
+            context.arcTo(x + w, y + h, x + w, y + h - r, r);
+            context.arcTo(x + w, y, x + w - r, y, r);
+            context.arcTo(x, y, x, y + r, r);
+            context.closePath();
+            break;
+        }
+    }
+}
+
+/**
+ * Describe a bitmap fill or stroke.
+ * @method createBitmapStyle
+ * @private
+ * @param {String|PIXI.Texture} image The texture or the name of the texture in the cache
+ * @param {String|Boolean} [repetition="repeat"] How the bitmap repeats
+ * @param {Array<Number>} [matrix] Transform of the bitmap
+ * @return {Object} The description, or null if the texture isn't loaded
+ */
+function createBitmapStyle(image, repetition, matrix) {
+    const texture = typeof image === 'string' ? PIXI.utils.TextureCache[image] : image;
+    if (!texture || !texture.baseTexture || !texture.baseTexture.hasLoaded) {
+        return null;
+    }
+    const frame = texture.frame;
+    const style = {
+        type: 'bitmap',
+        // Identifies the image in the texture cache key
+        image: [texture.baseTexture.uid, frame.x, frame.y, frame.width, frame.height],
+        repetition: repetition === false ? 'no-repeat' : repetition || 'repeat',
+        matrix: matrix || null
+    };
+    // Not part of the texture cache key
+    Object.defineProperty(style, 'texture', { value: texture });
+    return style;
+}
+
+/**
+ * Create the canvas fill or stroke style.
+ * @method createStyle
+ * @private
+ * @param {CanvasRenderingContext2D} context The canvas context
+ * @param {Object} fill The fill description
+ * @return {CanvasGradient|CanvasPattern} The style
+ */
+function createStyle(context, fill) {
+    if (fill.type === 'bitmap') {
+        return createPattern(context, fill);
+    }
+    const c = fill.coords;
+    const gradient = fill.type === 'radial' ?
+        context.createRadialGradient(c[0], c[1], c[2], c[3], c[4], c[5]) :
+        context.createLinearGradient(c[0], c[1], c[2], c[3]);
+    for (let i = 0; i < fill.colors.length; i++) {
+        gradient.addColorStop(fill.ratios[i], toColor(fill.colors[i]));
+    }
+    return gradient;
+}
+
+/**
+ * Create a canvas pattern from a bitmap fill or stroke. The pattern is drawn at
+ * the resolution of the texture and scaled down with the bitmap's matrix.
+ * @method createPattern
+ * @private
+ * @param {CanvasRenderingContext2D} context The canvas context
+ * @param {Object} fill The bitmap fill description
+ * @return {CanvasPattern} The pattern
+ */
+function createPattern(context, fill) {
+    const texture = fill.texture;
+    const frame = texture.frame;
+    const orig = texture.orig;
+    const trim = texture.trim;
+    const resolution = texture.baseTexture.resolution;
+    // Copy the frame, which may be part of an atlas, trimmed or rotated,
+    // the same way that sprites are drawn by the canvas renderer
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(orig.width * resolution));
+    canvas.height = Math.max(1, Math.round(orig.height * resolution));
+    const matrix = new PIXI.Matrix();
+    let dx = trim ? trim.x + trim.width / 2 : orig.width / 2;
+    let dy = trim ? trim.y + trim.height / 2 : orig.height / 2;
+    if (texture.rotate) {
+        PIXI.GroupD8.matrixAppendRotationInv(matrix, texture.rotate, dx, dy);
+        dx = dy = 0;
+    }
+    const patternContext = canvas.getContext('2d');
+    patternContext.setTransform(
+        matrix.a * resolution, matrix.b * resolution,
+        matrix.c * resolution, matrix.d * resolution,
+        matrix.tx * resolution, matrix.ty * resolution
+    );
+    patternContext.drawImage(
+        texture.baseTexture.source,
+        frame.x * resolution,
+        frame.y * resolution,
+        frame.width * resolution,
+        frame.height * resolution,
+        dx - frame.width / 2,
+        dy - frame.height / 2,
+        frame.width,
+        frame.height
+    );
+    const pattern = context.createPattern(canvas, fill.repetition);
+    // Browsers without pattern transforms draw the bitmap untransformed
+    if (pattern && pattern.setTransform) {
+        const m = fill.matrix || [1, 0, 0, 1, 0, 0];
+        pattern.setTransform({
+            a: m[0] / resolution,
+            b: m[1] / resolution,
+            c: m[2] / resolution,
+            d: m[3] / resolution,
+            e: m[4],
+            f: m[5]
+        });
+    }
+    return pattern;
+}
+
+/**
+ * Clear a graphics drawn with canvas shapes, dashes or shared geometry, see
+ * `PIXI.Graphics#_useAnimateCleanup`. The shapes drawn with the canvas are
+ * removed and the fill, stroke and dash styles are reset.
+ * @method clearAnimate
+ * @private
+ * @return {PIXI.Graphics}
+ */
+function clearAnimate() {
+    this._destroyCanvasChildren();
+    this._canvasStart = -1;
+    this._canvasFill = null;
+    this._canvasStroke = null;
+    this._strokeDash = null;
+    this._dashStart = 0;
+    releaseGeometry(this);
+    return clear.call(this);
+}
+
+/**
+ * Destroy a graphics drawn with canvas shapes, dashes or shared geometry, see
+ * `PIXI.Graphics#_useAnimateCleanup`.
+ * @method destroyAnimate
+ * @private
+ * @param {Object|Boolean} [options] The options of `PIXI.Graphics#destroy`
+ */
+function destroyAnimate(options) {
+    // Release the cached canvas textures, even if children aren't destroyed
+    this._destroyCanvasChildren();
+    // Don't destroy graphics data used by other instances
+    if (this._sharedGeometry) {
+        this.graphicsData = [];
+        this.currentPath = null;
+        releaseGeometry(this);
+    }
+    destroy.call(this, options);
+}
+
+/**
+ * Stop sharing the geometry from the ShapesCache, the graphics data is kept
+ * until cleared or destroyed but the WebGL data is no longer shared.
+ * @method releaseGeometry
+ * @private
+ * @param {PIXI.Graphics} graphics The graphics sharing geometry
+ */
+function releaseGeometry(graphics) {
+    const geometry = graphics._sharedGeometry;
+    if (!geometry) {
+        return;
+    }
+    if (graphics._webGL === geometry._webGL) {
+        graphics._webGL = {};
+    }
+    graphics._sharedGeometry = null;
+    ShapesCache.releaseGeometry(geometry);
+}
+
+/**
+ * Destroy the WebGL data built for a graphics which doesn't share geometry.
+ * @method destroyWebGL
+ * @private
+ * @param {PIXI.Graphics} graphics The graphics
+ */
+function destroyWebGL(graphics) {
+    for (let id in graphics._webGL) {
+        const data = graphics._webGL[id].data;
+        for (let i = 0; i < data.length; i++) {
+            data[i].destroy();
+        }
+    }
+    graphics._webGL = {};
+}
+
+/**
+ * Get the points around a shape, the last point is the first point again
+ * if the shape is closed.
+ * @method getOutline
+ * @private
+ * @param {PIXI.Polygon|PIXI.Rectangle|PIXI.Circle|PIXI.Ellipse|PIXI.RoundedRectangle} shape
+ * @return {Array<Number>} The points
+ */
+function getOutline(shape) {
+    switch (shape.type) {
+        case PIXI.SHAPES.POLY: {
+            const points = shape.points;
+            if (shape.closed !== false && points.length > 2) {
+                return points.concat(points[0], points[1]);
+            }
+            return points;
+        }
+        case PIXI.SHAPES.CIRC:
+            return addArc([], shape.x, shape.y, shape.radius, shape.radius, 0, 2 * Math.PI);
+        case PIXI.SHAPES.ELIP:
+            return addArc([], shape.x, shape.y, shape.width, shape.height, 0, 2 * Math.PI);
+        case PIXI.SHAPES.RREC: {
+            const x = shape.x;
+            const y = shape.y;
+            const w = shape.width;
+            const h = shape.height;
+            const r = Math.min(shape.radius, Math.min(w, h) / 2);
+            const points = [];
+            addArc(points, x + w - r, y + r, r, r, -Math.PI / 2, 0);
+            addArc(points, x + w - r, y + h - r, r, r, 0, Math.PI / 2);
+            addArc(points, x + r, y + h - r, r, r, Math.PI / 2, Math.PI);
+            addArc(points, x + r, y + r, r, r, Math.PI, Math.PI * 3 / 2);
+            return points.concat(points[0], points[1]);
+        }
+        default: {
+            const x = shape.x;
+            const y = shape.y;
+            return [x, y, x + shape.width, y, x + shape.width, y + shape.height,
+                x, y + shape.height, x, y];
+        }
+    }
+}
+
+/**
+ * Add the points of an elliptical arc, with as many segments for a full circle as Pixi draws.
+ * @method addArc
+ * @private
+ * @param {Array<Number>} points The points to add to
+ * @param {Number} x The x position of the center
+ * @param {Number} y The y position of the center
+ * @param {Number} rx The horizontal radius
+ * @param {Number} ry The vertical radius
+ * @param {Number} start The start angle in radians
+ * @param {Number} end The end angle in radians
+ * @return {Array<Number>} The points
+ */
+function addArc(points, x, y, rx, ry, start, end) {
+    const sweep = end - start;
+    const total = Math.floor(30 * Math.sqrt((rx + ry) / 2));
+    const segments = Math.max(1, Math.ceil(total * sweep / (2 * Math.PI)));
+    for (let i = 0; i <= segments; i++) {
+        const angle = start + sweep * i / segments;
+        points.push(x + Math.cos(angle) * rx, y + Math.sin(angle) * ry);
+    }
+    return points;
+}
+
+/**
+ * Split a line through points into dashes, starting at the dash offset.
+ * @method dashOutline
+ * @private
+ * @param {Array<Number>} points The points of the line
+ * @param {Object} dash The dash segments, offset and total length, see `PIXI.Graphics#sd`
+ * @return {Array<Array<Number>>} The points of each dash
+ */
+function dashOutline(points, dash) {
+    const segments = dash.segments;
+    const lines = [];
+    let index = 0;
+    let remaining = segments[0];
+    // Skip to the offset
+    let offset = ((dash.offset % dash.total) + dash.total) % dash.total;
+    while (offset >= remaining) {
+        offset -= remaining;
+        index = (index + 1) % segments.length;
+        remaining = segments[index];
+    }
+    remaining -= offset;
+    let line = index % 2 === 0 ? [points[0], points[1]] : null;
+    for (let i = 0; i < points.length - 2; i += 2) {
+        const x0 = points[i];
+        const y0 = points[i + 1];
+        const dx = points[i + 2] - x0;
+        const dy = points[i + 3] - y0;
+        const length = Math.sqrt(dx * dx + dy * dy);
+        let position = 0;
+        while (position < length) {
+            const step = Math.min(remaining, length - position);
+            position += step;
+            remaining -= step;
+            const x = x0 + dx * position / length;
+            const y = y0 + dy * position / length;
+            if (line) {
+                line.push(x, y);
+            }
+            if (remaining <= 0) {
+                index = (index + 1) % segments.length;
+                remaining = segments[index];
+                if (line) {
+                    lines.push(line);
+                    line = null;
+                } else {
+                    line = [x, y];
+                }
+            }
+        }
+    }
+    if (line) {
+        lines.push(line);
+    }
+    // Zero length dashes aren't drawn
+    return lines.filter(function(points) {
+        return points.length >= 4;
+    });
+}
+
+/**
+ * Convert a color to a CSS color.
+ * @method toColor
+ * @private
+ * @param {Number|String} color The uint color or CSS color
+ * @return {String} The CSS color
+ */
+function toColor(color) {
+    if (typeof color === 'number') {
+        return '#' + ('00000' + (color | 0).toString(16)).substr(-6);
+    }
+    return color;
+}
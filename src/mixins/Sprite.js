@@ -1,3 +1,5 @@
+import ColorTransformRenderer from '../animate/ColorTransformRenderer';
+
 /**
  * Mixins for the PIXI.Sprite class.
  * @memberof PIXI
@@ -5,6 +7,46 @@
  */
 const p = PIXI.Sprite.prototype;
 
+// Apply the color transforms of the sprite and its parents as a tint,
+// see DisplayObject#setColorTransform
+const renderWebGL = p._renderWebGL;
+p._renderWebGL = function(renderer) {
+    if (this._worldOffset) {
+        // Color offsets are batched by their own renderer
+        const plugin = renderer.plugins[ColorTransformRenderer.PLUGIN_NAME];
+        this.calculateVertices();
+        renderer.setObjectRenderer(plugin);
+        plugin.render(this);
+        return;
+    }
+    const tint = this._getWorldTint(this._tint);
+    if (tint !== this._tint || this._worldTinted) {
+        // The batch reads the tint when it's flushed, so the tint can't be
+        // restored after rendering, it's updated each render instead
+        this._tintRGB = (tint >> 16) + (tint & 0xff00) + ((tint & 0xff) << 16);
+        this._worldTinted = tint !== this._tint;
+    }
+    renderWebGL.call(this, renderer);
+};
+
+// The canvas renderer only applies the multipliers, color offsets
+// aren't drawn, see DisplayObject#setColorTransform
+const renderCanvas = p._renderCanvas;
+p._renderCanvas = function(renderer) {
+    const tint = this._tint;
+    this._tint = this._getWorldTint(tint);
+    renderCanvas.call(this, renderer);
+    this._tint = tint;
+};
+
+/**
+ * `true` if the batched tint includes the color transforms of the parents.
+ * @name PIXI.Sprite#_worldTinted
+ * @type {Boolean}
+ * @private
+ */
+p._worldTinted = false;
+
 /**
  * Extend a container
  * @method PIXI.Sprite.extend
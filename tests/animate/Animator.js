@@ -0,0 +1,123 @@
+describe('Animator', function() {
+    var Animator = PIXI.animate.Animator;
+    var MovieClip = PIXI.animate.MovieClip;
+    it('should exist', function() {
+        assert.isOk(Animator);
+    });
+    it('should play from a start to an end frame', function() {
+        var clip = new MovieClip({ duration: 10, framerate: 10 });
+        var completed = false;
+        var timeline = Animator.fromTo(clip, 2, 6, false, function() {
+            completed = true;
+        });
+        assert.isFalse(timeline.reverse);
+        clip.advance(0.2);
+        assert.equal(clip.currentFrame, 4);
+        assert.closeTo(timeline.progress, 0.5, 0.0001);
+        clip.advance(0.3);
+        assert.equal(clip.currentFrame, 6);
+        assert.isTrue(completed);
+        assert.isTrue(clip.paused);
+        clip.destroy();
+    });
+    it('should play in reverse from a start after the end frame', function() {
+        var clip = new MovieClip({ duration: 10, framerate: 10 });
+        var completed = false;
+        var timeline = Animator.fromTo(clip, 8, 2, false, function() {
+            completed = true;
+        });
+        assert.isTrue(timeline.reverse);
+        assert.equal(clip.currentFrame, 8);
+        clip.advance(0.3);
+        assert.equal(clip.currentFrame, 5);
+        assert.closeTo(timeline.progress, 0.5, 0.0001);
+        assert.isFalse(completed);
+        clip.advance(0.4);
+        assert.equal(clip.currentFrame, 2);
+        assert.isTrue(completed);
+        // The direction of the clip is restored
+        assert.equal(clip.timeScale, 1);
+        clip.destroy();
+    });
+    it('should loop in reverse', function() {
+        var clip = new MovieClip({ duration: 10, framerate: 10 });
+        Animator.fromTo(clip, 3, 0, true);
+        clip.advance(0.2);
+        assert.equal(clip.currentFrame, 1);
+        // Passing the start of the clip loops back to the start frame
+        clip.advance(0.2);
+        assert.equal(clip.currentFrame, 3);
+        assert.equal(clip.timeScale, -1);
+        Animator.stop(clip);
+        assert.equal(clip.timeScale, 1);
+        clip.destroy();
+    });
+    it('should throw for frames out of bounds', function() {
+        var clip = new MovieClip({ duration: 10, framerate: 10 });
+        assert.throws(function() {
+            Animator.fromTo(clip, 0, 10);
+        });
+        assert.throws(function() {
+            Animator.fromTo(clip, 10, 0);
+        });
+        assert.throws(function() {
+            Animator.fromTo(clip, 4, 4);
+        });
+        clip.destroy();
+    });
+    it('should play back and forth a number of times', function() {
+        var clip = new MovieClip({ duration: 10, framerate: 10 });
+        var completed = false;
+        var timeline = Animator.fromTo(clip, 2, 5, { loop: 'pingpong', repeat: 2 }, function() {
+            completed = true;
+        });
+        assert.equal(timeline.loopMode, 'pingpong');
+        clip.advance(0.3);
+        assert.equal(clip.currentFrame, 5);
+        clip.advance(0.2);
+        assert.equal(clip.currentFrame, 3);
+        clip.advance(0.1);
+        assert.equal(clip.currentFrame, 2);
+        assert.isFalse(completed);
+        clip.advance(0.3);
+        assert.equal(clip.currentFrame, 5);
+        assert.isTrue(completed);
+        assert.equal(clip.timeScale, 1);
+        clip.destroy();
+    });
+    it('should hold the end frame between repeats', function() {
+        var clip = new MovieClip({ duration: 10, framerate: 10 });
+        var completed = false;
+        Animator.fromTo(clip, 0, 3, { repeat: 1, repeatDelay: 0.2 }, function() {
+            completed = true;
+        });
+        clip.advance(0.3);
+        assert.equal(clip.currentFrame, 3);
+        clip.advance(0.1);
+        assert.equal(clip.currentFrame, 3);
+        clip.advance(0.15);
+        assert.equal(clip.currentFrame, 0);
+        clip.advance(0.3);
+        assert.equal(clip.currentFrame, 3);
+        assert.isTrue(completed);
+        clip.destroy();
+    });
+    it('should repeat by labels', function() {
+        var clip = new MovieClip({
+            duration: 10,
+            framerate: 10,
+            labels: { idle: 2, idle_loop: 4 }
+        });
+        var completed = false;
+        var timeline = Animator.play(clip, 'idle', function() {
+            completed = true;
+        }, { repeat: 1 });
+        assert.equal(timeline.loopMode, 'loop');
+        clip.advance(0.2);
+        assert.equal(clip.currentFrame, 2);
+        clip.advance(0.2);
+        assert.equal(clip.currentFrame, 4);
+        assert.isTrue(completed);
+        clip.destroy();
+    });
+});
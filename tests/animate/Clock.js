@@ -0,0 +1,139 @@
+describe('Clock', function() {
+    var Clock = PIXI.animate.Clock;
+    var MovieClip = PIXI.animate.MovieClip;
+    var clock, ticker;
+    beforeEach(function() {
+        ticker = new PIXI.ticker.Ticker();
+        ticker.autoStart = false;
+        clock = new Clock(ticker);
+    });
+    afterEach(function() {
+        clock.destroy();
+        ticker.destroy();
+    });
+    it('should exist', function() {
+        assert.isOk(Clock);
+        assert.isOk(Clock.shared);
+        assert.equal(Clock.shared.ticker, PIXI.ticker.shared);
+    });
+    it('should use the shared clock by default', function() {
+        var parent = new PIXI.Container();
+        var clip = new MovieClip({ duration: 10, framerate: 10 });
+        assert.equal(clip.clock, Clock.shared);
+        parent.addChild(clip);
+        assert.include(Clock.shared._clips, clip);
+        parent.removeChild(clip);
+        assert.notInclude(Clock.shared._clips, clip);
+        clip.destroy();
+    });
+    it('should advance the clips of a tree', function() {
+        var root = new MovieClip({ duration: 10, framerate: 10 });
+        var child = new MovieClip({ duration: 10, framerate: 10 });
+        root.addChild(child);
+        new PIXI.Container().addChild(root);
+        root.clock = clock;
+        assert.equal(child.clock, clock);
+        assert.notInclude(Clock.shared._clips, child);
+        clock.update(0);
+        clock.update(0.3);
+        assert.equal(root.currentFrame, 3);
+        assert.equal(child.currentFrame, 3);
+        root.destroy(true);
+        assert.lengthOf(clock._clips, 0);
+    });
+    it('should use the clock of the parents when added', function() {
+        var parent = new PIXI.Container();
+        parent._clock = clock;
+        var root = new MovieClip({ duration: 10, framerate: 10 });
+        var child = new MovieClip({ duration: 10, framerate: 10 });
+        root.addChild(child);
+        parent.addChild(root);
+        assert.include(clock._clips, root);
+        assert.include(clock._clips, child);
+        parent.removeChild(root);
+        root.clock = null;
+        assert.notInclude(clock._clips, root);
+        assert.include(Clock.shared._clips, child);
+        root.destroy(true);
+    });
+    it('should use the clock of parents added after the clip', function() {
+        var stage = new PIXI.Container();
+        stage._clock = clock;
+        var container = new PIXI.Container();
+        var clip = new MovieClip({ duration: 10, framerate: 10 });
+        container.addChild(clip);
+        assert.include(Clock.shared._clips, clip);
+        stage.addChild(container);
+        // Moved to the clock of the stage when the shared clock updates
+        Clock.shared.update(0.1);
+        assert.equal(clip.currentFrame, 0);
+        assert.notInclude(Clock.shared._clips, clip);
+        assert.include(clock._clips, clip);
+        clock.update(0);
+        clock.update(0.2);
+        assert.equal(clip.currentFrame, 2);
+        stage.destroy({children: true});
+        assert.lengthOf(clock._clips, 0);
+    });
+    it('should pause, resume and scale time', function() {
+        var clip = new MovieClip({ duration: 10, framerate: 10 });
+        clip.clock = clock;
+        new PIXI.Container().addChild(clip);
+        clock.update(0);
+        clock.pause();
+        clock.update(0.3);
+        assert.equal(clip.currentFrame, 0);
+        clock.resume();
+        clock.timeScale = 0.5;
+        clock.update(0.4);
+        assert.equal(clip.currentFrame, 2);
+        clip.destroy();
+    });
+    it('should step by frames of each clip', function() {
+        var clip = new MovieClip({ duration: 10, framerate: 10 });
+        var other = new MovieClip({ duration: 10, framerate: 20 });
+        var stopped = new MovieClip({ duration: 10, framerate: 10 });
+        var parent = new PIXI.Container();
+        parent._clock = clock;
+        parent.addChild(clip, other, stopped);
+        stopped.stop();
+        clock.update(0);
+        clock.pause();
+        clock.step(2);
+        assert.equal(clip.currentFrame, 2);
+        assert.equal(other.currentFrame, 2);
+        assert.equal(stopped.currentFrame, 0);
+        parent.destroy(true);
+    });
+    it('should only update manually without auto update', function() {
+        var clip = new MovieClip({ duration: 10, framerate: 10 });
+        clip.clock = clock;
+        new PIXI.Container().addChild(clip);
+        clock.update(0);
+        ticker.lastTime = 0;
+        ticker.update(100);
+        assert.equal(clip.currentFrame, 1);
+        clock.autoUpdate = false;
+        ticker.update(200);
+        assert.equal(clip.currentFrame, 1);
+        clock.update(0.2);
+        assert.equal(clip.currentFrame, 3);
+        clock.autoUpdate = true;
+        ticker.update(300);
+        assert.equal(clip.currentFrame, 4);
+        clip.destroy();
+    });
+    it('should only listen to the ticker while auto updating', function() {
+        var manualTicker = new PIXI.ticker.Ticker();
+        manualTicker.autoStart = false;
+        var manual = new Clock(manualTicker, false);
+        assert.isFalse(manual.autoUpdate);
+        assert.isNull(manualTicker._head.next);
+        manual.autoUpdate = true;
+        assert.isOk(manualTicker._head.next);
+        manual.autoUpdate = false;
+        assert.isNull(manualTicker._head.next);
+        manual.destroy();
+        manualTicker.destroy();
+    });
+});
@@ -0,0 +1,56 @@
+describe('ColorTransformRenderer', function() {
+    var ColorTransformRenderer = PIXI.animate.ColorTransformRenderer;
+    var renderer;
+    before(function() {
+        if (!PIXI.utils.isWebGLSupported()) {
+            this.skip();
+        }
+        renderer = new PIXI.WebGLRenderer(4, 4, {
+            backgroundColor: 0x000000,
+            preserveDrawingBuffer: true
+        });
+    });
+    after(function() {
+        if (renderer) {
+            renderer.destroy(true);
+            renderer = null;
+        }
+    });
+    function pixel(stage) {
+        renderer.render(stage);
+        var pixels = renderer.extract.pixels();
+        return [pixels[0], pixels[1], pixels[2], pixels[3]];
+    }
+    it('should be a plugin of the renderer', function() {
+        assert.instanceOf(renderer.plugins[ColorTransformRenderer.PLUGIN_NAME], ColorTransformRenderer);
+    });
+    it('should add the offsets to sprites', function() {
+        var stage = new PIXI.Container();
+        var sprite = new PIXI.Sprite(PIXI.Texture.WHITE);
+        sprite.width = sprite.height = 4;
+        stage.addChild(sprite);
+        // Darken to red without a filter
+        stage.c(0, 1, 0, 0, 0, 0);
+        assert.isNotOk(stage.filters);
+        assert.deepEqual(pixel(stage), [255, 0, 0, 255]);
+        stage.c(0.5, 0, 0, 0, 0, 0.5);
+        var color = pixel(stage);
+        assert.closeTo(color[0], 128, 1);
+        assert.equal(color[1], 0);
+        assert.closeTo(color[2], 128, 1);
+        stage.destroy({children: true});
+    });
+    it('should add the offsets to graphics', function() {
+        var stage = new PIXI.Container();
+        var graphics = new PIXI.Graphics()
+            .beginFill(0xffffff)
+            .drawRect(0, 0, 4, 4)
+            .endFill();
+        stage.addChild(graphics);
+        stage.c(0, 0, 0, 1, 0, 0);
+        assert.deepEqual(pixel(stage), [0, 255, 0, 255]);
+        stage.i(0xffffff);
+        assert.deepEqual(pixel(stage), [255, 255, 255, 255]);
+        stage.destroy({children: true});
+    });
+});
@@ -0,0 +1,42 @@
+describe('Ease', function() {
+    var Ease = PIXI.animate.Ease;
+    it('should exist', function() {
+        assert.isOk(Ease);
+    });
+    it('should ease with the classic strength', function() {
+        assert.isNull(Ease.get(0));
+        assert.equal(Ease.get(-100)(0.5), 0.25);
+        assert.equal(Ease.get(100)(0.5), 0.75);
+        assert.equal(Ease.get(-50)(0.5), 0.375);
+        assert.equal(Ease.get(100)(1), 1);
+    });
+    it('should ease with a cubic-bezier', function() {
+        var ease = Ease.get([0.42, 0, 0.58, 1]);
+        assert.equal(ease(0), 0);
+        assert.closeTo(ease(0.5), 0.5, 0.001);
+        assert.closeTo(ease(0.25), 0.129, 0.001);
+        assert.equal(ease(1), 1);
+        var linear = Ease.cubicBezier(0.25, 0.25, 0.75, 0.75);
+        assert.closeTo(linear(0.3), 0.3, 0.001);
+    });
+    it('should ease with a custom curve', function() {
+        // Linear to the middle, then quickly to the end
+        var ease = Ease.get([
+            0, 0, 0.25, 0.25, 0.25, 0.25, 0.5, 0.5,
+            0.5, 1, 0.5, 1, 1, 1
+        ]);
+        assert.closeTo(ease(0.25), 0.25, 0.001);
+        assert.isAbove(ease(0.6), 0.8);
+        assert.closeTo(ease(0.75), 1, 0.01);
+        assert.throws(function() {
+            Ease.custom([0, 0, 1, 1]);
+        });
+    });
+    it('should return easing functions', function() {
+        var ease = function(t) {
+            return t;
+        };
+        assert.equal(Ease.get(ease), ease);
+        assert.isNull(Ease.get(null));
+    });
+});
@@ -0,0 +1,46 @@
+describe('FrameRenderer', function() {
+    var FrameRenderer = PIXI.animate.FrameRenderer;
+    var MovieClip = PIXI.animate.MovieClip;
+    var frames;
+    beforeEach(function() {
+        frames = new FrameRenderer(4, 2, { backgroundColor: 0xff0000 });
+    });
+    afterEach(function() {
+        frames.destroy(true);
+    });
+    it('should exist', function() {
+        assert.isOk(FrameRenderer);
+        assert.instanceOf(frames.renderer, PIXI.CanvasRenderer);
+        assert.instanceOf(frames.stage, PIXI.Container);
+        assert.isNull(frames.instance);
+    });
+    it('should replace and destroy the instance', function() {
+        var first = new MovieClip();
+        var second = new MovieClip();
+        frames.setInstance(first);
+        assert.equal(frames.instance, first);
+        assert.equal(first.parent, frames.stage);
+        frames.setInstance(second);
+        assert.equal(frames.instance, second);
+        assert.isNull(first.parent);
+        assert.isNull(first.transform);
+        frames.clear();
+        assert.isNull(frames.instance);
+        assert.lengthOf(frames.stage.children, 0);
+    });
+    it('should get the pixels drawn', function() {
+        frames.render();
+        var pixels = frames.getData('pixels');
+        assert.lengthOf(pixels, 4 * 2 * 4);
+        assert.deepEqual(Array.prototype.slice.call(pixels, 0, 4), [255, 0, 0, 255]);
+    });
+    it('should get a PNG file', function() {
+        frames.render();
+        var url = frames.getData('url');
+        assert.equal(url.indexOf('data:image/png;base64,'), 0);
+        var bytes = frames.getData('png');
+        assert.instanceOf(bytes, Uint8Array);
+        // PNG signature
+        assert.deepEqual(Array.prototype.slice.call(bytes, 1, 4), [80, 78, 71]);
+    });
+});
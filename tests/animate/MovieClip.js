@@ -10,4 +10,382 @@ describe('MovieClip', function() {
         var clip = new MovieClip();
         assert.isOk(clip instanceof Container);
     });
-});
\ No newline at end of file
+    it('should tween between keyframes with an ease', function() {
+        var clip = new MovieClip({ duration: 11 });
+        var child = new Container();
+        clip.addTimedChild(child, 0, 11, "0X0E-100 4X40 10X100");
+        clip.gotoAndStop(2);
+        assert.equal(child.x, 10);
+        clip.gotoAndStop(4);
+        assert.equal(child.x, 40);
+        // Keyframes without an ease don't tween
+        clip.gotoAndStop(7);
+        assert.equal(child.x, 40);
+        clip.gotoAndStop(10);
+        assert.equal(child.x, 100);
+        clip.destroy();
+    });
+    it('should tween between keyframes along a motion guide', function() {
+        var clip = new MovieClip({ duration: 5 });
+        var child = new Container();
+        clip.addTimedChild(child, 0, 5, {
+            "0": { x: 0, y: 0, e: 0, p: ["m", 0, 0, "l", 0, 40, "l", 40, 40] },
+            "4": { x: 40, y: 40 }
+        });
+        clip.gotoAndStop(1);
+        assert.closeTo(child.x, 0, 0.001);
+        assert.closeTo(child.y, 20, 0.001);
+        clip.gotoAndStop(3);
+        assert.closeTo(child.x, 20, 0.001);
+        assert.closeTo(child.y, 40, 0.001);
+        clip.destroy();
+    });
+    it('should tween between keyframes in a rotation direction', function() {
+        var clip = new MovieClip({ duration: 5 });
+        var child = new Container();
+        clip.addTimedChild(child, 0, 5, "0R0Ocw1E0 4R3.14159");
+        clip.gotoAndStop(2);
+        assert.closeTo(child.rotation, 3.14159 * 1.5, 0.0001);
+        clip.gotoAndStop(4);
+        assert.closeTo(child.rotation, 3.14159, 0.0001);
+        clip.destroy();
+    });
+    it('should only update on whole frames by default', function() {
+        var clip = new MovieClip({ duration: 5, framerate: 10 });
+        var child = new Container();
+        clip.addTween(child, { x: 0 }, 0, 0);
+        clip.addTween(child, { x: 40 }, 0, 4);
+        clip.advance(0.15);
+        assert.equal(clip.currentFrame, 1);
+        assert.equal(child.x, 10);
+        clip.destroy();
+    });
+    it('should interpolate tweens between frames', function() {
+        var clip = new MovieClip({ duration: 6, framerate: 10, interpolate: true });
+        var child = new Container();
+        var other = new Container();
+        var actions = 0;
+        clip.addTimedChild(child, 0, 6, "0X0E0 4X40");
+        clip.addTimedChild(other, 2, 4);
+        clip.addAction(function() {
+            actions++;
+        }, 2);
+        clip.advance(0.15);
+        assert.equal(clip.currentFrame, 1);
+        assert.closeTo(child.x, 15, 0.0001);
+        clip.advance(0.04);
+        assert.equal(clip.currentFrame, 1);
+        assert.closeTo(child.x, 19, 0.0001);
+        // Actions and timed children wait for the frame
+        assert.equal(actions, 0);
+        assert.isNull(other.parent);
+        clip.advance(0.02);
+        assert.equal(clip.currentFrame, 2);
+        assert.closeTo(child.x, 21, 0.0001);
+        assert.equal(actions, 1);
+        assert.equal(other.parent, clip);
+        // Hold the end of the tween
+        clip.advance(0.25);
+        assert.equal(clip.currentFrame, 4);
+        assert.equal(child.x, 40);
+        assert.equal(actions, 1);
+        clip.destroy();
+    });
+    it('should play at the time scale', function() {
+        var clip = new MovieClip({ duration: 10, framerate: 10 });
+        clip.timeScale = 2;
+        clip.advance(0.2);
+        assert.equal(clip.currentFrame, 4);
+        clip.timeScale = 0.5;
+        clip.advance(0.2);
+        assert.equal(clip.currentFrame, 5);
+        clip.destroy();
+    });
+    it('should play in reverse', function() {
+        var clip = new MovieClip({ duration: 6, framerate: 10 });
+        var child = new Container();
+        var frames = [];
+        clip.addTimedChild(child, 0, 6, "0X0E0 5X50");
+        [1, 2, 4, 5].forEach(function(frame) {
+            clip.addAction(function() {
+                frames.push(frame);
+            }, frame);
+        });
+        clip.gotoAndStop(5);
+        frames.length = 0;
+        clip.timeScale = -1;
+        clip.advance(0.3);
+        assert.equal(clip.currentFrame, 2);
+        assert.equal(child.x, 20);
+        assert.deepEqual(frames, [4, 2]);
+        // Loop around from the start to the end
+        frames.length = 0;
+        clip.advance(0.3);
+        assert.equal(clip.currentFrame, 5);
+        assert.equal(child.x, 50);
+        assert.deepEqual(frames, [1, 5]);
+        clip.destroy();
+    });
+    it('should stop at the start when playing in reverse without looping', function() {
+        var clip = new MovieClip({ duration: 6, framerate: 10, loop: false });
+        clip.gotoAndStop(2);
+        clip.timeScale = -1;
+        clip.advance(0.5);
+        assert.equal(clip.currentFrame, 0);
+        clip.destroy();
+    });
+    it('should set the loop mode with loop', function() {
+        var clip = new MovieClip({ loop: 'pingpong' });
+        assert.equal(clip.loopMode, 'pingpong');
+        assert.isTrue(clip.loop);
+        clip.loop = false;
+        assert.equal(clip.loopMode, 'none');
+        assert.isFalse(clip.loop);
+        clip.loop = true;
+        assert.equal(clip.loopMode, 'loop');
+        clip = new MovieClip(MovieClip.INDEPENDENT, 10, false);
+        assert.equal(clip.loopMode, 'none');
+    });
+    it('should play back and forth', function() {
+        var clip = new MovieClip({ duration: 4, framerate: 10, loop: 'pingpong' });
+        var frames = [];
+        [0, 1, 2, 3].forEach(function(frame) {
+            clip.addAction(function() {
+                frames.push(frame);
+            }, frame);
+        });
+        clip.advance(0);
+        clip.advance(0.35);
+        assert.equal(clip.currentFrame, 3);
+        // Turn around at the end
+        clip.advance(0.1);
+        assert.equal(clip.currentFrame, 3);
+        clip.advance(0.1);
+        assert.equal(clip.currentFrame, 2);
+        // And at the start
+        clip.advance(0.3);
+        assert.equal(clip.currentFrame, 0);
+        clip.advance(0.1);
+        assert.equal(clip.currentFrame, 1);
+        assert.deepEqual(frames, [0, 1, 2, 3, 2, 1, 0, 1]);
+        clip.destroy();
+    });
+    it('should stop at the end after repeating', function() {
+        var clip = new MovieClip({ duration: 4, framerate: 10, repeat: 1 });
+        clip.advance(0.45);
+        assert.equal(clip.currentFrame, 0);
+        clip.advance(0.4);
+        assert.equal(clip.currentFrame, 3);
+        clip.advance(0.1);
+        assert.equal(clip.currentFrame, 3);
+        // Going to a frame starts counting again
+        clip.gotoAndPlay(2);
+        clip.advance(0.3);
+        assert.equal(clip.currentFrame, 1);
+        clip.destroy();
+    });
+    it('should wait between repeats', function() {
+        var clip = new MovieClip({ duration: 4, framerate: 10, repeatDelay: 0.2 });
+        clip.advance(0.45);
+        assert.equal(clip.currentFrame, 3);
+        clip.advance(0.1);
+        assert.equal(clip.currentFrame, 3);
+        clip.advance(0.1);
+        assert.equal(clip.currentFrame, 0);
+        clip.destroy();
+    });
+    it('should emit frame and label events for skipped frames', function() {
+        var clip = new MovieClip({
+            duration: 6,
+            framerate: 10,
+            labels: { start: 0, middle: 2, end: 5 }
+        });
+        var events = [];
+        clip.on('frame', function(frame) {
+            events.push(frame);
+        });
+        clip.on('label', function(label, frame) {
+            events.push(label + '@' + frame);
+        });
+        clip.on('loop', function() {
+            events.push('loop');
+        });
+        clip.advance(0);
+        assert.deepEqual(events, [0, 'start@0']);
+        events.length = 0;
+        clip.advance(0.35);
+        assert.deepEqual(events, [1, 2, 'middle@2', 3]);
+        events.length = 0;
+        clip.advance(0.3);
+        assert.deepEqual(events, [4, 5, 'end@5', 'loop', 0, 'start@0']);
+        clip.destroy();
+    });
+    it('should go to the whole frame before a fractional frame', function() {
+        var clip = new MovieClip({
+            duration: 6,
+            framerate: 10,
+            labels: { middle: 2 }
+        });
+        var events = [];
+        clip.on('frame', function(frame) {
+            events.push(frame);
+        });
+        clip.on('label', function(label) {
+            events.push(label);
+        });
+        clip.gotoAndStop(2.5);
+        assert.equal(clip.currentFrame, 2);
+        assert.deepEqual(events, [2, 'middle']);
+        events.length = 0;
+        clip.play();
+        clip.advance(0.25);
+        assert.equal(clip.currentFrame, 4);
+        assert.deepEqual(events, [3, 4]);
+        clip.destroy();
+    });
+    it('should emit label events in reverse', function() {
+        var clip = new MovieClip({
+            duration: 6,
+            framerate: 10,
+            labels: { middle: 2 }
+        });
+        var labels = [];
+        clip.on('label', function(label) {
+            labels.push(label);
+        });
+        clip.gotoAndStop(4);
+        clip.timeScale = -1;
+        clip.advance(0.3);
+        assert.equal(clip.currentFrame, 1);
+        assert.deepEqual(labels, ['middle']);
+        clip.destroy();
+    });
+    it('should play synched children in the direction of the parent', function() {
+        var clip = new MovieClip({ duration: 6, framerate: 10 });
+        var child = new MovieClip({ mode: MovieClip.SYNCHED, duration: 6, labels: { middle: 2 } });
+        var events = [];
+        clip.addTimedChild(child, 0, 6);
+        child.on('frame', function(frame) {
+            events.push(frame);
+        });
+        child.on('label', function(label) {
+            events.push(label);
+        });
+        child.on('loop', function() {
+            events.push('loop');
+        });
+        clip.gotoAndStop(4);
+        events.length = 0;
+        clip.timeScale = -1;
+        clip.advance(0.3);
+        assert.equal(child.currentFrame, 1);
+        // Only the frames played through, without looping around
+        assert.deepEqual(events, [3, 2, 'middle', 1]);
+        clip.destroy();
+    });
+    it('should emit loop and complete events', function() {
+        var clip = new MovieClip({ duration: 4, framerate: 10, loop: 'pingpong', repeat: 1 });
+        var events = [];
+        clip.on('loop', function() {
+            events.push('loop');
+        });
+        clip.on('complete', function() {
+            events.push('complete');
+        });
+        clip.advance(0.45);
+        assert.deepEqual(events, ['loop']);
+        clip.advance(0.4);
+        assert.deepEqual(events, ['loop', 'complete']);
+        assert.equal(clip.currentFrame, 0);
+        // Only completes once
+        clip.advance(0.1);
+        assert.deepEqual(events, ['loop', 'complete']);
+        clip.destroy();
+    });
+    it('should run actions on the first frame when looping around', function() {
+        var clip = new MovieClip({ duration: 4, framerate: 10 });
+        var frames = [];
+        clip.addAction(function() {
+            frames.push(0);
+        }, 0);
+        clip.addAction(function() {
+            frames.push(1);
+        }, 1);
+        clip.advance(0);
+        clip.advance(0.35);
+        clip.advance(0.1);
+        assert.deepEqual(frames, [0, 1, 0]);
+        clip.destroy();
+    });
+    it('should seek to the state before the first tween', function() {
+        var clip = new MovieClip({ duration: 10 });
+        var child = new Container();
+        child.x = 7;
+        clip.addTimedChild(child, 0, 10);
+        clip.addTween(child, { x: 50 }, 5, 0);
+        clip.addTween(child, { x: 80 }, 5, 3);
+        clip.gotoAndStop(8);
+        assert.equal(child.x, 80);
+        clip.seek(2);
+        assert.equal(clip.currentFrame, 2);
+        assert.equal(child.x, 7);
+        clip.seek(7);
+        assert.closeTo(child.x, 70, 0.0001);
+        clip.destroy();
+    });
+    it('should seek to the masks and timed children of the frame', function() {
+        var clip = new MovieClip({ duration: 10 });
+        var child = new Container();
+        var other = new Container();
+        var mask = new PIXI.Graphics();
+        clip.addTimedChild(child, 0, 10);
+        clip.addTimedChild(other, 4, 2);
+        clip.addTimedMask(child, { "3": mask });
+        clip.seek(4);
+        assert.equal(child.mask, mask);
+        assert.equal(other.parent, clip);
+        clip.seek(1);
+        assert.isNull(child.mask);
+        assert.isNull(other.parent);
+        clip.seek(8);
+        assert.equal(child.mask, mask);
+        assert.isNull(other.parent);
+        clip.destroy();
+    });
+    it('should seek with or without running actions', function() {
+        var clip = new MovieClip({ duration: 10, labels: { middle: 3 } });
+        var frames = [];
+        var events = 0;
+        [0, 1, 3, 6].forEach(function(frame) {
+            clip.addAction(function() {
+                frames.push(frame);
+            }, frame);
+        });
+        clip.on('frame', function() {
+            events++;
+        });
+        clip.seek(5);
+        assert.deepEqual(frames, []);
+        clip.seek('middle', { runActions: true });
+        assert.equal(clip.currentFrame, 3);
+        assert.deepEqual(frames, [0, 1, 3]);
+        assert.equal(events, 0);
+        clip.destroy();
+    });
+    it('should seek nested independent clips', function() {
+        var clip = new MovieClip({ duration: 10, framerate: 10 });
+        var nested = new MovieClip({ duration: 10 });
+        var child = new Container();
+        nested.addTimedChild(child, 0, 10, "0X0E0 9X90");
+        clip.addTimedChild(nested, 2, 8);
+        clip.seek(5);
+        assert.equal(nested.currentFrame, 3);
+        assert.equal(child.x, 30);
+        clip.seek(1);
+        assert.isNull(nested.parent);
+        clip.seek(6);
+        assert.equal(nested.currentFrame, 4);
+        assert.equal(child.x, 40);
+        clip.destroy();
+    });
+});
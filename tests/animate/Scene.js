@@ -0,0 +1,44 @@
+describe('Scene', function() {
+    var path = require('path');
+    var basePath = path.join(__dirname, '..', 'renders', 'assets');
+    var ShapesCache = PIXI.animate.ShapesCache;
+    var scene;
+    beforeEach(function() {
+        scene = new PIXI.animate.Scene(32, 32, { autoStart: false }, true);
+    });
+    afterEach(function() {
+        scene.destroy();
+    });
+    it('should exist', function() {
+        assert.isOk(PIXI.animate.Scene);
+    });
+    it('should unload the previous stage when loading another', function(done) {
+        var StageA = function() {
+            PIXI.Container.call(this);
+        };
+        StageA.prototype = Object.create(PIXI.Container.prototype);
+        var StageB = function() {
+            PIXI.Container.call(this);
+        };
+        StageB.prototype = Object.create(PIXI.Container.prototype);
+        StageA.assets = {
+            SceneShared: 'images/graphic.shapes.json',
+            SceneOnlyA: 'images/alpha.shapes.json'
+        };
+        StageB.assets = {
+            SceneShared: 'images/graphic.shapes.json'
+        };
+        scene.load(StageA, function(instanceA) {
+            scene.load(StageB, function(instanceB) {
+                assert.equal(scene.instance, instanceB);
+                assert.isNull(instanceA.parent);
+                assert.isNull(ShapesCache.fromCache('SceneOnlyA'));
+                assert.isOk(ShapesCache.fromCache('SceneShared'));
+                scene.destroy();
+                assert.isNull(ShapesCache.fromCache('SceneShared'));
+                scene = new PIXI.animate.Scene(32, 32, { autoStart: false }, true);
+                done();
+            }, basePath);
+        }, basePath);
+    });
+});
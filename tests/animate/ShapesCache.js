@@ -20,4 +20,14 @@ describe('ShapesCache', function() {
         assert.equal(ShapesCache.fromCache('TestShape2'), commands);
         ShapesCache.removeAll();
     });
-});
\ No newline at end of file
+    it('should add binary shapes to cache', function() {
+        var buffer = PIXI.animate.utils.serializeBinaryShapes([
+            ["f", "#003fcc", 1, "dr", 0, 0, 10, 10]
+        ]);
+        ShapesCache.add('TestBinaryShape', buffer);
+        assert.deepEqual(ShapesCache.fromCache('TestBinaryShape'), [
+            ["f", 0x003fcc, 1, "dr", 0, 0, 10, 10]
+        ]);
+        ShapesCache.removeAll();
+    });
+});
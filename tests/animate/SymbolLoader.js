@@ -0,0 +1,45 @@
+describe('SymbolLoader', function() {
+    var SymbolLoader = PIXI.animate.SymbolLoader;
+    it('should exist', function() {
+        assert.isOk(SymbolLoader);
+    });
+    it('should get the short symbol name', function() {
+        assert.equal(SymbolLoader.symbolName('Bitmap1'), 'Bitmap1');
+        assert.equal(SymbolLoader.symbolName('Bitmap1.png'), 'Bitmap1');
+        assert.equal(SymbolLoader.symbolName('images/Bitmap 1.png'), 'Bitmap 1');
+    });
+    it('should add atlas frames by symbol name', function() {
+        var texture1 = new PIXI.Texture(new PIXI.BaseTexture());
+        var texture2 = new PIXI.Texture(new PIXI.BaseTexture());
+        SymbolLoader.addFrames('TestAtlas1', { 'TestFrame.png': texture1 });
+        assert.equal(PIXI.utils.TextureCache.TestFrame, texture1);
+        assert.equal(SymbolLoader.frames.TestFrame.atlas, 'TestAtlas1');
+        assert.equal(SymbolLoader.frames.TestFrame.frame, 'TestFrame.png');
+
+        // Collisions with other atlases are ignored
+        SymbolLoader.addFrames('TestAtlas2', { 'TestFrame.png': texture2 });
+        assert.equal(PIXI.utils.TextureCache.TestFrame, texture1);
+        assert.equal(SymbolLoader.frames.TestFrame.atlas, 'TestAtlas1');
+
+        SymbolLoader.removeFrames('TestAtlas1');
+        assert.isNotOk(PIXI.utils.TextureCache.TestFrame);
+        assert.isNotOk(SymbolLoader.frames.TestFrame);
+    });
+    it('should remove the frames of colliding atlases', function() {
+        var texture1 = new PIXI.Texture(new PIXI.BaseTexture());
+        var texture2 = new PIXI.Texture(new PIXI.BaseTexture());
+        // The frames are also cached by frame name when the atlas is parsed
+        PIXI.utils.TextureCache['CollideFrame.png'] = texture1;
+        SymbolLoader.addFrames('CollideAtlas1', { 'CollideFrame.png': texture1 });
+        PIXI.utils.TextureCache['CollideFrame.png'] = texture2;
+        SymbolLoader.addFrames('CollideAtlas2', { 'CollideFrame.png': texture2 });
+        assert.equal(PIXI.utils.TextureCache.CollideFrame, texture1);
+
+        SymbolLoader.removeFrames('CollideAtlas1');
+        assert.isNotOk(PIXI.utils.TextureCache.CollideFrame);
+        assert.equal(PIXI.utils.TextureCache['CollideFrame.png'], texture2);
+
+        SymbolLoader.removeFrames('CollideAtlas2');
+        assert.isNotOk(PIXI.utils.TextureCache['CollideFrame.png']);
+    });
+});
@@ -2,4 +2,18 @@ describe('Timeline', function() {
     it('should exist', function() {
         assert.isOk(PIXI.animate.Timeline);
     });
-});
\ No newline at end of file
+    it('should get the tint of the target', function() {
+        var target = new PIXI.Container();
+        var timeline = new PIXI.animate.Timeline(target);
+        assert.equal(timeline.getPropFromShorthand('t'), 0xffffff);
+        target.i('#ff0000');
+        assert.equal(timeline.getPropFromShorthand('t'), 0xff0000);
+    });
+    it('should get the color transform of the target', function() {
+        var target = new PIXI.Container();
+        var timeline = new PIXI.animate.Timeline(target);
+        assert.deepEqual(timeline.getPropFromShorthand('c'), [1, 0, 1, 0, 1, 0, 1, 0]);
+        target.c(0.5, 0, 1, 0.2, 1, 0);
+        assert.deepEqual(timeline.getPropFromShorthand('c'), [0.5, 0, 1, 0.2, 1, 0, 1, 0]);
+    });
+});
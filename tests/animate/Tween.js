@@ -2,4 +2,156 @@ describe('Tween', function() {
     it('should exist', function() {
         assert.isOk(PIXI.animate.Tween);
     });
-});
\ No newline at end of file
+    describe('tint', function() {
+        var Tween = PIXI.animate.Tween;
+        var target = {
+            i: function(tint) {
+                this.tint = tint;
+            }
+        };
+        it('should tween each channel of the tint', function() {
+            var tween = new Tween(target, { t: 0xff0000 }, { t: '#0000ff' }, 0, 4);
+            assert.equal(tween.colorSpace, 'rgb');
+            tween.setPosition(0);
+            assert.equal(target.tint, 0xff0000);
+            tween.setPosition(2);
+            assert.equal(target.tint, 0x800080);
+            tween.setPosition(4);
+            assert.equal(target.tint, '#0000ff');
+        });
+        it('should tween the tint in linear light', function() {
+            var tween = new Tween(target, { t: 0xff0000 }, { t: 0x0000ff, cs: 'linear' }, 0, 4);
+            assert.equal(tween.colorSpace, 'linear');
+            assert.notProperty(tween.endProps, 'cs');
+            tween.setPosition(2);
+            assert.equal(target.tint, 0xbc00bc);
+
+            // Other tweens keep their own color space
+            var other = new Tween(target, { t: 0xff0000 }, { t: 0x0000ff }, 0, 4);
+            other.setPosition(2);
+            assert.equal(target.tint, 0x800080);
+        });
+        it('should tween the tint in hsl', function() {
+            var tween = new Tween(target, { t: 0xff0000 }, { t: 0x0000ff, cs: 'hsl' }, 0, 4);
+            tween.setPosition(2);
+            // The shortest way around the hue is through magenta
+            assert.equal(target.tint, 0xff00ff);
+            tween = new Tween(target, { t: 0x808080 }, { t: 0xff0000, cs: 'hsl' }, 0, 2);
+            tween.setPosition(1);
+            assert.equal(target.tint, 0xbf4040);
+        });
+    });
+    it('should tween the color transform', function() {
+        var target = {
+            c: function() {
+                this.transform = Array.prototype.slice.call(arguments);
+            }
+        };
+        var tween = new PIXI.animate.Tween(target,
+            { c: [1, 0, 1, 0, 1, 0] },
+            { c: [0, 1, 0.5, 0.5, 0, 0, 0.5, 0.2] }, 0, 2);
+        tween.setPosition(1);
+        assert.deepEqual(target.transform, [0.5, 0.5, 0.75, 0.25, 0.5, 0, 0.75, 0.1]);
+        tween.setPosition(2);
+        assert.deepEqual(target.transform, [0, 1, 0.5, 0.5, 0, 0, 0.5, 0.2]);
+    });
+    it('should ease properties separately', function() {
+        var target = new PIXI.Container();
+        var tween = new PIXI.animate.Tween(target,
+            { x: 0, y: 0, a: 0 },
+            { x: 100, y: 100, a: 1 }, 0, 2,
+            { x: -100, a: 0, default: 100 });
+        assert.isFunction(tween.ease);
+        tween.setPosition(1);
+        assert.equal(target.x, 25);
+        assert.equal(target.y, 75);
+        assert.equal(target.alpha, 0.5);
+    });
+    it('should use a single ease for all properties', function() {
+        var target = new PIXI.Container();
+        var tween = new PIXI.animate.Tween(target,
+            { x: 0, y: 0 }, { x: 100, y: 100 }, 0, 2, -100);
+        assert.isNull(tween.eases);
+        tween.setPosition(1);
+        assert.equal(target.x, 25);
+        assert.equal(target.y, 25);
+    });
+    it('should follow a motion guide path', function() {
+        var target = new PIXI.Container();
+        var tween = new PIXI.animate.Tween(target, {}, {
+            p: ["m", 0, 0, "l", 100, 0, "l", 100, 100]
+        }, 0, 4);
+        assert.equal(tween.endProps.x, 100);
+        assert.equal(tween.endProps.y, 100);
+        assert.isUndefined(tween.endProps.p);
+        // Moves along the path by distance
+        tween.setPosition(1);
+        assert.closeTo(target.x, 50, 0.001);
+        assert.closeTo(target.y, 0, 0.001);
+        tween.setPosition(3);
+        assert.closeTo(target.x, 100, 0.001);
+        assert.closeTo(target.y, 50, 0.001);
+        assert.equal(target.rotation, 0);
+    });
+    it('should orient to a curved motion guide path', function() {
+        var target = new PIXI.Container();
+        var tween = new PIXI.animate.Tween(target, {}, {
+            p: { path: ["m", 0, 0, "q", 50, -50, 100, 0], orient: true }
+        }, 0, 2);
+        assert.closeTo(tween.startProps.r, -Math.PI / 4, 0.001);
+        assert.closeTo(tween.endProps.r, Math.PI / 4, 0.001);
+        tween.setPosition(1);
+        assert.closeTo(target.x, 50, 0.001);
+        assert.closeTo(target.y, -25, 0.001);
+        assert.closeTo(target.rotation, 0, 0.001);
+    });
+    it('should rotate the shortest way around', function() {
+        var target = new PIXI.Container();
+        var tween = new PIXI.animate.Tween(target, { r: 6.2 }, { r: 0.1 }, 0, 2);
+        tween.setPosition(1);
+        assert.closeTo(target.rotation, 6.2 + (0.1 + Math.PI * 2 - 6.2) / 2, 0.0001);
+        tween = new PIXI.animate.Tween(target, { r: 0.1 }, { r: 6.2 }, 0, 2);
+        tween.setPosition(1);
+        assert.closeTo(target.rotation, 0.1 - (0.1 + Math.PI * 2 - 6.2) / 2, 0.0001);
+        // More than a full turn apart
+        tween = new PIXI.animate.Tween(target, { r: 0 }, { r: Math.PI * 4.5 }, 0, 2);
+        tween.setPosition(1);
+        assert.closeTo(target.rotation, Math.PI / 4, 0.0001);
+        tween.setPosition(2);
+        assert.closeTo(target.rotation, Math.PI * 4.5, 0.0001);
+    });
+    it('should rotate without wrapping', function() {
+        var target = new PIXI.Container();
+        var tween = new PIXI.animate.Tween(target, { r: 0 }, { r: Math.PI * 4.5, o: "none" }, 0, 2);
+        assert.equal(tween.rotate, "none");
+        assert.isUndefined(tween.endProps.o);
+        tween.setPosition(1);
+        assert.closeTo(target.rotation, Math.PI * 2.25, 0.0001);
+    });
+    it('should rotate clockwise', function() {
+        var target = new PIXI.Container();
+        var tween = new PIXI.animate.Tween(target, { r: Math.PI / 2 }, { r: 0, o: "cw" }, 0, 2);
+        tween.setPosition(1);
+        assert.closeTo(target.rotation, Math.PI * 1.25, 0.0001);
+        tween = new PIXI.animate.Tween(target, { r: 0 }, { r: Math.PI / 2, o: "cw2" }, 0, 2);
+        assert.equal(tween.rotate, "cw");
+        assert.equal(tween.rotations, 2);
+        tween.setPosition(1);
+        assert.closeTo(target.rotation, Math.PI * 2.25, 0.0001);
+        tween.setPosition(2);
+        assert.closeTo(target.rotation, Math.PI / 2, 0.0001);
+    });
+    it('should rotate counter-clockwise', function() {
+        var target = new PIXI.Container();
+        var tween = new PIXI.animate.Tween(target, { r: 0 }, { r: Math.PI / 2, o: "ccw" }, 0, 2);
+        tween.setPosition(1);
+        assert.closeTo(target.rotation, -Math.PI * 0.75, 0.0001);
+        tween = new PIXI.animate.Tween(target, { r: Math.PI / 2 }, { r: 0, o: "ccw1" }, 0, 2);
+        tween.setPosition(1);
+        assert.closeTo(target.rotation, -Math.PI * 0.75, 0.0001);
+        // The same angle makes only the full turns
+        tween = new PIXI.animate.Tween(target, { r: 1 }, { r: 1, o: "ccw1" }, 0, 4);
+        tween.setPosition(1);
+        assert.closeTo(target.rotation, 1 - Math.PI / 2, 0.0001);
+    });
+});
@@ -0,0 +1,95 @@
+describe('exportFrames', function() {
+    var MovieClip = PIXI.animate.MovieClip;
+    var frames;
+    var StageRef = MovieClip.extend(function() {
+        MovieClip.call(this, { duration: 4, framerate: 4 });
+        var child = new MovieClip({ duration: 4, framerate: 4 });
+        child.addAction(function() {
+            frames.push(this.currentFrame);
+        }, 2);
+        this.addChild(child);
+        for (var i = 0; i < 4; i++) {
+            this.addAction(function() {
+                frames.push(this.currentFrame);
+            }, i);
+        }
+    });
+    beforeEach(function() {
+        frames = [];
+    });
+    it('should exist', function() {
+        assert.isOk(PIXI.animate.exportFrames);
+    });
+    it('should render each frame', function() {
+        var progress = [];
+        return PIXI.animate.exportFrames({
+            stage: StageRef,
+            width: 8,
+            height: 8,
+            format: 'pixels',
+            onProgress: function(value) {
+                progress.push(value);
+            }
+        }).then(function(result) {
+            assert.lengthOf(result, 4);
+            assert.equal(result[0].name, 'frame0001.png');
+            assert.equal(result[3].name, 'frame0004.png');
+            assert.instanceOf(result[0].data, Uint8ClampedArray);
+            // Nested clips play along with the stage
+            assert.deepEqual(frames, [0, 1, 2, 2, 3]);
+            assert.deepEqual(progress, [0.25, 0.5, 0.75, 1]);
+        });
+    });
+    it('should render at a framerate and write the frames', function() {
+        var names = [];
+        return PIXI.animate.exportFrames({
+            stage: StageRef,
+            width: 8,
+            height: 8,
+            framerate: 8,
+            format: 'pixels',
+            prefix: 'test',
+            write: function(name, data) {
+                assert.isOk(data);
+                names.push(name);
+            }
+        }).then(function(result) {
+            assert.lengthOf(result, 8);
+            assert.isNull(result[0].data);
+            assert.equal(names[7], 'test0008.png');
+            assert.deepEqual(frames, [0, 1, 2, 2, 3]);
+        });
+    });
+    it('should release the assets when the stage can\'t be added', function() {
+        var path = require('path');
+        var FailingStage = MovieClip.extend(function() {
+            MovieClip.call(this);
+            this.on('added', function() {
+                throw new Error('Failed to add');
+            });
+        });
+        FailingStage.assets = {
+            ExportShapes: 'images/graphic.shapes.json'
+        };
+        return PIXI.animate.exportFrames({
+            stage: FailingStage,
+            basePath: path.join(__dirname, '..', 'renders', 'assets')
+        }).then(function() {
+            assert(false, 'Should not export');
+        }, function(err) {
+            assert.equal(err.message, 'Failed to add');
+            assert.equal(PIXI.animate.AssetRegistry.count('ExportShapes'), 0);
+            assert.isNull(PIXI.animate.ShapesCache.fromCache('ExportShapes'));
+        });
+    });
+    it('should reject unsupported formats', function() {
+        return PIXI.animate.exportFrames({
+            stage: StageRef,
+            format: 'gif'
+        }).then(function() {
+            assert(false, 'Should not export');
+        }, function(err) {
+            assert.include(err.message, 'gif');
+        });
+    });
+});
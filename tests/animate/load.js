@@ -2,4 +2,294 @@ describe('load', function() {
     it('should exist', function() {
         assert.isOk(PIXI.animate.load);
     });
-});
\ No newline at end of file
+    it('should load a stage without assets', function(done) {
+        var StageRef = function() {};
+        PIXI.animate.load(StageRef, function(instance) {
+            assert.isOk(instance instanceof StageRef);
+            done();
+        });
+    });
+    it('should report progress and errors', function(done) {
+        var StageRef = function() {};
+        StageRef.assets = {
+            MissingShapes: 'does-not-exist.shapes.txt'
+        };
+        var progress = [];
+        var errors = [];
+        PIXI.animate.load({
+            stage: StageRef,
+            onProgress: function(fraction, id) {
+                progress.push([fraction, id]);
+            },
+            onError: function(id, err) {
+                errors.push(id);
+                assert.isOk(err);
+            },
+            complete: function() {
+                assert(false, 'Should not create the stage');
+            },
+            error: function(err) {
+                assert.deepEqual(err.failed, ['MissingShapes']);
+                assert.deepEqual(errors, ['MissingShapes']);
+                assert.deepEqual(progress, [[1, 'MissingShapes']]);
+                done();
+            }
+        });
+    });
+});
+
+describe('load failures', function() {
+    it('should emit an error without an error callback', function(done) {
+        var StageA = function() {};
+        var StageB = function() {};
+        StageA.assets = StageB.assets = {
+            MissingShapes: 'does-not-exist.shapes.txt'
+        };
+        var failedB = false;
+        var loader = PIXI.animate.load(StageA, function() {
+            assert(false, 'Should not create the stage');
+        });
+        PIXI.animate.load({
+            stage: StageB,
+            error: function(err) {
+                assert.deepEqual(err.failed, ['MissingShapes']);
+                failedB = true;
+            }
+        });
+        loader.on('error', function(err, errorLoader) {
+            // Skip the error event for the resource itself
+            if (!err.failed) {
+                return;
+            }
+            assert.equal(errorLoader, loader);
+            assert.deepEqual(err.failed, ['MissingShapes']);
+            setTimeout(function() {
+                assert.isTrue(failedB);
+                done();
+            }, 0);
+        });
+    });
+});
+
+describe('load shared assets', function() {
+    var path = require('path');
+    var basePath = path.join(__dirname, '..', 'renders', 'assets');
+
+    it('should fetch shared assets once when loading concurrently', function(done) {
+        var StageA = function() {};
+        var StageB = function() {};
+        StageA.assets = StageB.assets = {
+            SharedShapes: 'images/graphic.shapes.json'
+        };
+        var count = 0;
+        var loaderA = PIXI.animate.load(StageA, complete, basePath);
+        var loaderB = PIXI.animate.load(StageB, complete, basePath);
+        assert.isOk(loaderA.resources.SharedShapes);
+        assert.isNotOk(loaderB.resources.SharedShapes);
+        function complete(instance) {
+            assert.isOk(PIXI.animate.ShapesCache.fromCache('SharedShapes'));
+            assert.isOk(instance);
+            if (++count === 2) {
+                PIXI.animate.unload(StageA);
+                PIXI.animate.unload(StageB);
+                done();
+            }
+        }
+    });
+    it('should keep fetching shared assets when one stage aborts', function(done) {
+        var StageA = function() {};
+        var StageB = function() {};
+        StageA.assets = StageB.assets = {
+            SharedShapes: 'images/graphic.shapes.json'
+        };
+        var listeners = [];
+        var signal = {
+            aborted: false,
+            addEventListener: function(name, listener) {
+                listeners.push(listener);
+            },
+            removeEventListener: function() {}
+        };
+        var abortedA = false;
+        PIXI.animate.load({
+            stage: StageA,
+            basePath: basePath,
+            signal: signal,
+            complete: function() {
+                assert(false, 'Should not create the aborted stage');
+            },
+            error: function(err) {
+                assert.equal(err.name, 'AbortError');
+                abortedA = true;
+            }
+        });
+        var loaderB = PIXI.animate.load(StageB, function(instance) {
+            assert.isTrue(abortedA);
+            assert.isTrue(completed);
+            assert.isOk(instance instanceof StageB);
+            assert.isOk(PIXI.animate.ShapesCache.fromCache('SharedShapes'));
+            PIXI.animate.unload(StageB);
+            assert.isNull(PIXI.animate.ShapesCache.fromCache('SharedShapes'));
+            done();
+        }, basePath);
+        var completed = false;
+        loaderB.on('complete', function() {
+            completed = true;
+        });
+        signal.aborted = true;
+        listeners[0]();
+    });
+    it('should complete the loader when assets are already loaded', function(done) {
+        var StageA = function() {};
+        var StageB = function() {};
+        StageA.assets = StageB.assets = {
+            SharedShapes: 'images/graphic.shapes.json'
+        };
+        PIXI.animate.load(StageA, function() {
+            var completed = false;
+            var loader = PIXI.animate.load(StageB, function() {
+                assert.isTrue(completed);
+                PIXI.animate.unload(StageA);
+                PIXI.animate.unload(StageB);
+                done();
+            }, basePath);
+            loader.on('complete', function() {
+                completed = true;
+            });
+        }, basePath);
+    });
+    it('should reuse already loaded assets', function(done) {
+        var StageA = function() {};
+        var StageB = function() {};
+        StageA.assets = StageB.assets = {
+            SharedShapes: 'images/graphic.shapes.json'
+        };
+        PIXI.animate.load(StageA, function() {
+            PIXI.animate.load(StageB, function(instance, loader) {
+                assert.isOk(instance instanceof StageB);
+                assert.isNotOk(loader.resources.SharedShapes);
+                PIXI.animate.unload(StageA);
+                PIXI.animate.unload(StageB);
+                assert.isNull(PIXI.animate.ShapesCache.fromCache('SharedShapes'));
+                done();
+            }, basePath);
+        }, basePath);
+    });
+    it('should release the assets of a stage aborted while loading', function(done) {
+        var AssetRegistry = PIXI.animate.AssetRegistry;
+        var StageRef = function() {};
+        StageRef.assets = {
+            AbortedShapes: 'images/graphic.shapes.json',
+            AbortedImage: 'images/Jibo_Eye1.png'
+        };
+        var listeners = [];
+        var signal = {
+            aborted: false,
+            addEventListener: function(name, listener) {
+                listeners.push(listener);
+            },
+            removeEventListener: function() {}
+        };
+        var loader = PIXI.animate.load({
+            stage: StageRef,
+            basePath: basePath,
+            signal: signal,
+            complete: function() {
+                assert(false, 'Should not create the aborted stage');
+            }
+        });
+        assert.equal(AssetRegistry.count('AbortedShapes'), 1);
+        // Abort once the first asset has loaded
+        loader.once('load', function() {
+            signal.aborted = true;
+            listeners[0]();
+        });
+        // Without an error callback the loader emits the error
+        loader.on('error', function(err) {
+            assert.equal(err.name, 'AbortError');
+            assert.equal(AssetRegistry.count('AbortedShapes'), 0);
+            assert.equal(AssetRegistry.count('AbortedImage'), 0);
+            assert.isNull(AssetRegistry.get('AbortedShapes'));
+            assert.isNull(AssetRegistry.get('AbortedImage'));
+            assert.isNull(PIXI.animate.ShapesCache.fromCache('AbortedShapes'));
+            assert.isUndefined(PIXI.utils.TextureCache.AbortedImage);
+            done();
+        });
+    });
+    it('should fetch assets again when they were removed from the caches', function(done) {
+        var StageA = function() {};
+        var StageB = function() {};
+        StageA.assets = StageB.assets = {
+            SharedShapes: 'images/graphic.shapes.json'
+        };
+        PIXI.animate.load(StageA, function() {
+            PIXI.animate.ShapesCache.remove('SharedShapes');
+            PIXI.animate.load(StageB, function(instance, loader) {
+                assert.isOk(loader.resources.SharedShapes);
+                assert.isOk(PIXI.animate.ShapesCache.fromCache('SharedShapes'));
+                PIXI.animate.unload(StageA);
+                PIXI.animate.unload(StageB);
+                assert.isNull(PIXI.animate.ShapesCache.fromCache('SharedShapes'));
+                done();
+            }, basePath);
+        }, basePath);
+    });
+});
+
+describe('loadAsync', function() {
+    it('should exist', function() {
+        assert.isOk(PIXI.animate.loadAsync);
+    });
+    it('should resolve with the instance', function() {
+        var StageRef = function() {};
+        return PIXI.animate.loadAsync({ stage: StageRef }).then(function(result) {
+            assert.isOk(result.instance instanceof StageRef);
+            assert.isOk(result.loader instanceof PIXI.loaders.Loader);
+            assert.isOk(result.resources);
+        });
+    });
+    it('should emit an error on the loader when already aborted', function() {
+        var StageRef = function() {};
+        var signal = {
+            aborted: true,
+            addEventListener: function() {},
+            removeEventListener: function() {}
+        };
+        var loader = new PIXI.loaders.Loader();
+        var errors = [];
+        loader.on('error', function(err) {
+            errors.push(err);
+        });
+        assert.equal(PIXI.animate.load({
+            stage: StageRef,
+            loader: loader,
+            signal: signal
+        }), loader);
+        assert.lengthOf(errors, 1);
+        assert.equal(errors[0].name, 'AbortError');
+    });
+    it('should reject when already aborted', function() {
+        var StageRef = function() {};
+        var signal = {
+            aborted: true,
+            addEventListener: function() {},
+            removeEventListener: function() {}
+        };
+        return PIXI.animate.loadAsync({ stage: StageRef, signal: signal }).then(function() {
+            assert(false, 'Should not resolve');
+        }, function(err) {
+            assert.equal(err.name, 'AbortError');
+        });
+    });
+    it('should reject when an asset fails', function() {
+        var StageRef = function() {};
+        StageRef.assets = {
+            MissingShapes: 'does-not-exist.shapes.txt'
+        };
+        return PIXI.animate.loadAsync({ stage: StageRef }).then(function() {
+            assert(false, 'Should not resolve');
+        }, function(err) {
+            assert.deepEqual(err.failed, ['MissingShapes']);
+        });
+    });
+});
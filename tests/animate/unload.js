@@ -0,0 +1,26 @@
+describe('unload', function() {
+    var path = require('path');
+    var basePath = path.join(__dirname, '..', 'renders', 'assets');
+    var ShapesCache = PIXI.animate.ShapesCache;
+
+    it('should exist', function() {
+        assert.isOk(PIXI.animate.unload);
+    });
+    it('should keep shared assets until the last stage is unloaded', function(done) {
+        var StageA = function() {};
+        var StageB = function() {};
+        StageA.assets = StageB.assets = {
+            UnloadShapes: 'images/graphic.shapes.json'
+        };
+        PIXI.animate.load(StageA, function() {
+            PIXI.animate.load(StageB, function() {
+                assert.isOk(ShapesCache.fromCache('UnloadShapes'));
+                PIXI.animate.unload(StageA);
+                assert.isOk(ShapesCache.fromCache('UnloadShapes'));
+                PIXI.animate.unload(StageB);
+                assert.isNull(ShapesCache.fromCache('UnloadShapes'));
+                done();
+            }, basePath);
+        }, basePath);
+    });
+});
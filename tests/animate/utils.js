@@ -24,6 +24,25 @@ describe('utils', function() {
         assert.equal(result['2'].y, -357.6);
         assert.equal(result['3'].y, -353.25);
     });
+    it('should convert keyframe eases', function() {
+        var result = animate.utils.deserializeKeyframes("0X0E-50 5X10E0.42,0,0.58,1 10X20");
+        assert.equal(result['0'].e, -50);
+        assert.deepEqual(result['5'].e, [0.42, 0, 0.58, 1]);
+        assert.isUndefined(result['10'].e);
+    });
+    it('should convert keyframe rotation directions', function() {
+        var result = animate.utils.deserializeKeyframes("0R0Ocw2E0 5R1.5Onone 10R3");
+        assert.equal(result['0'].o, "cw2");
+        assert.equal(result['0'].e, 0);
+        assert.equal(result['5'].o, "none");
+        assert.equal(result['10'].r, 3);
+    });
+    it('should deserialize keyframes with a color space', function() {
+        var result = animate.utils.deserializeKeyframes("0T#ff0000E0Slinear 4T#0000ff");
+        assert.equal(result['0'].cs, "linear");
+        assert.equal(result['0'].t, "#ff0000");
+        assert.equal(result['4'].t, "#0000ff");
+    });
     it('should fill frames', function() {
         var timeline = [];
         animate.utils.fillFrames(timeline, 3, 10);
@@ -48,4 +67,68 @@ describe('utils', function() {
         assert(Array.isArray(items[1]));
         assert.equal(items[1].length, 19);
     });
-});
\ No newline at end of file
+
+    it('should serialize and deserialize binary shapes', function() {
+        var shapes = [
+            ["f", "#fc9", 1, "m", 185.5, 59.75, "l", 180.65, 74.1, "c"],
+            ["s", 0xff0000, 2, "dr", 0, 0, 100, 200]
+        ];
+        var buffer = animate.utils.serializeBinaryShapes(shapes);
+        assert(buffer instanceof ArrayBuffer);
+        var items = animate.utils.deserializeBinaryShapes(buffer);
+        assert.equal(items.length, 2);
+        assert.equal(items[0].length, 10);
+        assert.equal(items[0][0], "f");
+        assert.equal(items[0][1], 0xffcc99);
+        assert.equal(items[0][6], "l");
+        assert.closeTo(items[0][7], 180.65, 0.0001);
+        assert.equal(items[0][9], "c");
+        assert.deepEqual(items[1], ["s", 0xff0000, 2, "dr", 0, 0, 100, 200]);
+    });
+
+    it('should serialize and deserialize binary shapes with arrays and strings', function() {
+        var shapes = [
+            ["lf", ["#ff0000", "rgba(0,0,255,0.5)", 0x00ff00], [0, 0.5, 1], 0, 0, 10, 0, null, "dr", 0, 0, 10, 10],
+            ["bf", "f", "no-repeat", [1, 0, 0, 1, 5, 5], "dr", 0, 0, 10, 10],
+            ["bs", "#Bitmap", 2, false, "sd", [4, 2], 1, "m", 0, 0, "l", 10, 0]
+        ];
+        var items = animate.utils.deserializeBinaryShapes(animate.utils.serializeBinaryShapes(shapes));
+        assert.deepEqual(items[0], [
+            "lf", [0xff0000, "rgba(0,0,255,0.5)", 0x00ff00], [0, 0.5, 1], 0, 0, 10, 0, null, "dr", 0, 0, 10, 10
+        ]);
+        assert.deepEqual(items[1], shapes[1]);
+        assert.deepEqual(items[2], shapes[2]);
+    });
+
+    it('should reject unsupported binary shapes arguments', function() {
+        assert.throws(function() {
+            animate.utils.serializeBinaryShapes([["f", {}, 1]]);
+        });
+    });
+
+    it('should write the binary shapes lengths as little-endian', function() {
+        var buffer = animate.utils.serializeBinaryShapes([["f", 0xff, 1, "m", 5, 0]]);
+        var view = new DataView(buffer);
+        // The number of commands in the first shape follows the header
+        assert.equal(view.getUint32(20, true), 2);
+    });
+
+    it('should reject other binary shapes versions', function() {
+        var buffer = animate.utils.serializeBinaryShapes([["f", 0xff, 1]]);
+        var header = new DataView(buffer);
+        header.setUint16(4, 1, true);
+        assert.throws(function() {
+            animate.utils.deserializeBinaryShapes(buffer);
+        }, /version 1/);
+        header.setUint16(4, 3, true);
+        assert.throws(function() {
+            animate.utils.deserializeBinaryShapes(buffer);
+        }, /version 3/);
+    });
+
+    it('should reject invalid binary shapes', function() {
+        assert.throws(function() {
+            animate.utils.deserializeBinaryShapes(new ArrayBuffer(20));
+        });
+    });
+});
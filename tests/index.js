@@ -27,11 +27,20 @@ describe('PIXI', function() {
 
     describe('animate', function() {
 
+        require('./animate/Animator');
+        require('./animate/Clock');
+        require('./animate/ColorTransformRenderer');
+        require('./animate/Ease');
+        require('./animate/exportFrames');
+        require('./animate/FrameRenderer');
         require('./animate/load');
         require('./animate/MovieClip');
+        require('./animate/Scene');
         require('./animate/ShapesCache');
+        require('./animate/SymbolLoader');
         require('./animate/Timeline');
         require('./animate/Tween');
+        require('./animate/unload');
         require('./animate/utils');
     });
 });
@@ -22,4 +22,106 @@ describe('DisplayObject', function() {
     it('should be extendable', function() {
         extendable(PIXI.DisplayObject);
     });
-});
\ No newline at end of file
+    it('should set the color transform with alpha', function() {
+        var obj = new PIXI.Container();
+        obj.c(1.5, 0.1, 1, 0, 1, 0, 0.5, 0.25);
+        var filter = obj.colorTransformFilter;
+        assert.equal(obj.filters[0], filter);
+        assert.closeTo(filter.matrix[0], 1.5, 0.001);
+        assert.closeTo(filter.matrix[4], 0.1, 0.001);
+        assert.closeTo(filter.matrix[18], 0.5, 0.001);
+        assert.closeTo(filter.matrix[19], 0.25, 0.001);
+        // The same filter is updated
+        obj.c(-1, 0.5, 1, 0, 1, 0);
+        assert.equal(obj.colorTransformFilter, filter);
+        assert.equal(obj.filters.length, 1);
+        assert.equal(filter.matrix[0], -1);
+        assert.equal(filter.matrix[18], 1);
+        assert.equal(filter.matrix[19], 0);
+        obj.destroy();
+    });
+    it('should tint instead of using a filter', function() {
+        var stage = new PIXI.Container();
+        var parent = stage.addChild(new PIXI.Container());
+        var child = new PIXI.Container();
+        var graphics = new PIXI.Graphics();
+        var sprite = new PIXI.Sprite(PIXI.Texture.WHITE);
+        parent.addChild(child);
+        child.addChild(graphics, sprite);
+        parent.i(0x808080);
+        child.c(1, 0, 0.5, 0, 0, 0, 0.5, 0);
+        assert.isNotOk(parent.filters);
+        assert.isNotOk(child.filters);
+
+        parent.updateTransform();
+        assert.equal(graphics._getWorldTint(0xffffff), 0x804000);
+        assert.equal(sprite._getWorldTint(0xffffff), 0x804000);
+        assert.equal(sprite.worldAlpha, 0.5);
+        // The alpha multiplier doesn't change alpha
+        assert.equal(child.alpha, 1);
+
+        // Additive values are added when rendering, multiplied by the parents
+        child.c(1, 0.5, 1, 0, 1, 0, 1, 0.5);
+        parent.alpha = 0.5;
+        parent.updateTransform();
+        assert.isNotOk(child.filters);
+        assert.equal(sprite._getWorldTint(0xffffff), 0x808080);
+        assert.closeTo(sprite._worldOffset[0], 0.25, 0.01);
+        assert.equal(sprite._worldOffset[1], 0);
+        assert.equal(sprite._worldOffset[3], 0.25);
+        assert.equal(graphics._worldOffset, sprite._worldOffset);
+        assert.isNull(parent._worldOffset);
+        parent.alpha = 1;
+
+        // Offsets of the parents are added to the offsets of the children
+        parent.c(1, 0, 1, 0.5, 1, 0);
+        parent.updateTransform();
+        assert.deepEqual(sprite._worldOffset, [0.5, 0.5, 0, 0.5]);
+
+        // Multipliers outside of 0 to 1 use the filter, which includes the parent color
+        parent.i(0x808080);
+        child.c(2, 0.5, 1, 0, 1, 0);
+        parent.updateTransform();
+        assert.equal(child.filters[0], child.colorTransformFilter);
+        assert.closeTo(child.colorTransformFilter.matrix[0], 1, 0.01);
+        assert.closeTo(child.colorTransformFilter.matrix[4], 0.25, 0.01);
+        assert.equal(sprite._getWorldTint(0xffffff), 0xffffff);
+        assert.isNull(sprite._worldOffset);
+
+        // Back to a tint removes the filter
+        child.i(0xffffff);
+        parent.updateTransform();
+        assert.isNotOk(child.filters);
+        assert.isNull(sprite._worldOffset);
+        assert.equal(sprite._getWorldTint(0xffffff), 0x808080);
+        stage.destroy({children: true});
+    });
+    it('should only update the world color within color transforms', function() {
+        var stage = new PIXI.Container();
+        var parent = stage.addChild(new PIXI.Container());
+        var sprite = parent.addChild(new PIXI.Sprite(PIXI.Texture.WHITE));
+        var updates = 0;
+        sprite._updateWorldColor = function() {
+            updates++;
+            PIXI.DisplayObject.prototype._updateWorldColor.call(this);
+        };
+        parent.updateTransform();
+        assert.equal(updates, 0);
+        assert.isFalse(sprite._inColorTransform);
+
+        parent.i(0x808080);
+        parent.updateTransform();
+        assert.equal(updates, 1);
+        assert.isTrue(sprite._inColorTransform);
+        assert.equal(sprite._getWorldTint(0xffffff), 0x808080);
+
+        // Removing the color transform resets the world color
+        parent.i(0xffffff);
+        parent.updateTransform();
+        assert.equal(updates, 1);
+        assert.isFalse(parent._hasColorTransform);
+        assert.isFalse(sprite._inColorTransform);
+        assert.equal(sprite._getWorldTint(0xffffff), 0xffffff);
+        stage.destroy({children: true});
+    });
+});
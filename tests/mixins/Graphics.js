@@ -10,8 +10,9 @@ describe('Graphics', function() {
         assert.equal(p.l, p.lineTo);
         assert.equal(p.q, p.quadraticCurveTo);
         assert.equal(p.b, p.bezierCurveTo);
-        assert.equal(p.f, p.beginFill);
-        assert.equal(p.s, p.lineStyle);
+        assert.isFunction(p.f);
+        assert.isFunction(p.s);
+        assert.isFunction(p.ef);
         assert.equal(p.dr, p.drawRect);
         assert.equal(p.rr, p.drawRoundedRect);
         assert.equal(p.dc, p.drawCircle);
@@ -19,4 +20,251 @@ describe('Graphics', function() {
         assert.equal(p.at, p.arcTo);
         assert.equal(p.de, p.drawEllipse);
     });
-});
\ No newline at end of file
+    it('should share geometry drawn from the ShapesCache', function() {
+        var ShapesCache = PIXI.animate.ShapesCache;
+        ShapesCache.add('TestSharedShape', [[
+            "f", "#ff0000", 1, "m", 0, 0, "l", 10, 0, "l", 10, 10, "c"
+        ]]);
+        var shape = ShapesCache.TestSharedShape[0];
+        var g1 = new PIXI.Graphics().d(shape);
+        var g2 = new PIXI.Graphics().d(shape);
+        var geometry = ShapesCache.getGeometry(shape);
+        assert.equal(g1.graphicsData.length, 1);
+        assert.equal(g1.graphicsData[0].shape, g2.graphicsData[0].shape);
+        assert.equal(g1.fillColor, 0xff0000);
+        // The WebGL data is only built once
+        assert.equal(g1._webGL, geometry._webGL);
+        assert.equal(g2._webGL, geometry._webGL);
+        assert.equal(g1.dirty, geometry.dirty);
+
+        // Changing one instance doesn't change the other
+        var points = g1.graphicsData[0].shape.points.length;
+        assert.isNull(g2.currentPath);
+        g2.lineStyle(1, 0x00ff00).moveTo(2, 1).lineTo(8, 1).lineTo(8, 7).closePath().addHole();
+        assert.lengthOf(g2.graphicsData, 1);
+        assert.lengthOf(g2.graphicsData[0].holes, 1);
+        assert.lengthOf(g1.graphicsData[0].holes, 0);
+        assert.equal(g1.graphicsData[0].shape.points.length, points);
+        assert.equal(g1.lineWidth, 0);
+
+        // Only graphics drawn with Animate features don't use Pixi's cleanup
+        assert.notEqual(g1.destroy, PIXI.Graphics.prototype.destroy);
+        assert.equal(new PIXI.Graphics().destroy, PIXI.Graphics.prototype.destroy);
+
+        // Destroying an instance doesn't destroy the shared data
+        var g3 = new PIXI.Graphics().d(shape);
+        g1.destroy();
+        assert.isOk(g3.graphicsData[0].shape);
+        assert.equal(g3._webGL, geometry._webGL);
+
+        // Removed geometry is destroyed with the last instance
+        ShapesCache.removeAll();
+        assert.isOk(geometry.graphicsData);
+        g3.destroy();
+        assert.isOk(geometry.graphicsData);
+        g2.clear();
+        assert.isNull(g2._sharedGeometry);
+        assert.isNull(geometry.graphicsData);
+        g2.destroy();
+    });
+    it('should draw gradient fills into a sprite', function() {
+        var g = new PIXI.Graphics()
+            .f(0xff0000).dr(0, 0, 10, 10)
+            .lf(['#ff0000', 0x0000ff], [0, 1], 0, 0, 20, 0).dr(10, 10, 20, 20)
+            .f(0x00ff00).dr(30, 30, 5, 5)
+            .ef();
+        assert.equal(g.graphicsData.length, 1);
+        assert.equal(g.children.length, 2);
+        var sprite = g.children[0];
+        assert.instanceOf(sprite, PIXI.Sprite);
+        assert.equal(sprite.x, 10);
+        assert.equal(sprite.y, 10);
+        assert.equal(sprite.texture.width, 20);
+        assert.equal(sprite.texture.height, 20);
+        assert.instanceOf(g.children[1], PIXI.Graphics);
+        assert.equal(g.children[1].graphicsData.length, 1);
+
+        // The texture is shared and destroyed with the last sprite
+        var g2 = new PIXI.Graphics()
+            .rf(['#ff0000', '#0000ff'], [0, 1], 0, 0, 0, 0, 0, 10)
+            .dc(0, 0, 10)
+            .ef();
+        var g3 = new PIXI.Graphics()
+            .rf(['#ff0000', '#0000ff'], [0, 1], 0, 0, 0, 0, 0, 10)
+            .dc(0, 0, 10)
+            .ef();
+        assert.equal(g2.graphicsData.length, 0);
+        assert.equal(g2.children[0].texture, g3.children[0].texture);
+        var texture = g3.children[0].texture;
+        g2.destroy();
+        assert.isOk(texture.baseTexture);
+        g3.destroy();
+        assert.isNull(texture.baseTexture);
+        g.destroy();
+        assert.lengthOf(g.children, 0);
+        assert.isNull(sprite.texture);
+    });
+    it('should remove the shapes drawn with the canvas when cleared', function() {
+        var g = new PIXI.Graphics()
+            .lf(['#ff0000', '#0000ff'], [0, 1], 0, 0, 10, 0).dr(0, 0, 10, 10)
+            .f(0x00ff00).dr(10, 10, 5, 5)
+            .ef();
+        var sprite = g.children[0];
+        var other = new PIXI.Sprite();
+        g.addChild(other);
+        assert.lengthOf(g.children, 3);
+        g.sd([4, 2]).lf(['#ff0000', '#0000ff'], [0, 1], 0, 0, 10, 0).dr(0, 0, 10, 10);
+        g.clear();
+        assert.deepEqual(g.children, [other]);
+        assert.isNull(sprite.texture);
+        assert.equal(g._canvasStart, -1);
+        assert.isNull(g._canvasFill);
+        assert.isNull(g._strokeDash);
+
+        // Drawing after clearing isn't dashed or drawn with the canvas
+        g.s(2, 0xff0000).m(0, 0).l(20, 0).ef();
+        assert.lengthOf(g.graphicsData, 1);
+        assert.lengthOf(g.children, 1);
+        g.destroy({children: true});
+    });
+    it('should draw bitmap fills and strokes by texture name', function() {
+        var canvas = document.createElement('canvas');
+        canvas.width = canvas.height = 4;
+        var texture = PIXI.Texture.fromCanvas(canvas);
+        PIXI.Texture.addTextureToCache(texture, 'TestBitmapFill');
+        var g = new PIXI.Graphics()
+            .bf('TestBitmapFill', 'no-repeat', [2, 0, 0, 2, 0, 0]).dr(0, 0, 8, 8)
+            .ef();
+        assert.equal(g.graphicsData.length, 0);
+        assert.equal(g.children.length, 1);
+        assert.equal(g.children[0].texture.width, 8);
+
+        // A solid fill with a bitmap stroke is also drawn with the canvas
+        var g2 = new PIXI.Graphics()
+            .bs('TestBitmapFill', 2)
+            .f(0xff0000).dr(0, 0, 8, 8)
+            .s(1, 0x00ff00).dr(10, 10, 8, 8)
+            .ef();
+        assert.equal(g2.graphicsData.length, 0);
+        assert.equal(g2.children.length, 2);
+        assert.instanceOf(g2.children[0], PIXI.Sprite);
+        assert.equal(g2.children[0].texture.width, 10);
+        assert.instanceOf(g2.children[1], PIXI.Graphics);
+
+        // Missing textures fall back to a solid fill
+        var g3 = new PIXI.Graphics().bf('TestBitmapMissing').dr(0, 0, 8, 8);
+        assert.equal(g3.graphicsData.length, 1);
+        assert.equal(g3.children.length, 0);
+
+        g.destroy({children: true});
+        g2.destroy({children: true});
+        g3.destroy();
+        PIXI.Texture.removeFromCache('TestBitmapFill');
+        texture.destroy(true);
+    });
+    it('should draw bitmap fills of rotated frames at their resolution', function() {
+        // Red on the top and blue on the bottom, rotated in the atlas
+        var canvas = document.createElement('canvas');
+        canvas.width = 2;
+        canvas.height = 4;
+        var context = canvas.getContext('2d');
+        context.fillStyle = '#ff0000';
+        context.fillRect(0, 0, 2, 2);
+        context.fillStyle = '#0000ff';
+        context.fillRect(0, 2, 2, 2);
+        var baseTexture = new PIXI.BaseTexture(canvas, undefined, 2);
+        var texture = new PIXI.Texture(baseTexture,
+            new PIXI.Rectangle(0, 0, 1, 2), new PIXI.Rectangle(0, 0, 2, 1), null, 2);
+
+        // The fill looks like a sprite of the texture
+        var renderer = new PIXI.CanvasRenderer(2, 1, { transparent: true });
+        var pixels = function(object) {
+            renderer.render(object);
+            return Array.prototype.slice.call(
+                renderer.rootContext.getImageData(0, 0, 2, 1).data);
+        };
+        var sprite = new PIXI.Sprite(texture);
+        var g = new PIXI.Graphics().bf(texture, 'no-repeat').dr(0, 0, 2, 1).ef();
+        var expected = pixels(sprite);
+        assert.notDeepEqual(expected.slice(0, 4), expected.slice(4));
+        assert.deepEqual(pixels(g), expected);
+
+        g.destroy({children: true});
+        sprite.destroy();
+        renderer.destroy();
+        texture.destroy(true);
+    });
+    it('should split dashed strokes into dashes', function() {
+        var g = new PIXI.Graphics()
+            .s(2, 0xff0000)
+            .sd([4, 2], 1)
+            .f(0x00ff00)
+            .m(0, 0).l(20, 0).l(20, 20).c()
+            .ef();
+        var data = g.graphicsData;
+
+        // The path is filled without a stroke, followed by the dashes
+        assert.equal(data[0].lineWidth, 0);
+        assert.isOk(data[0].fill);
+        var dashes = data.slice(1);
+        assert.isAbove(dashes.length, 3);
+        dashes.forEach(function(dash) {
+            assert.notOk(dash.fill);
+            assert.equal(dash.lineWidth, 2);
+            assert.equal(dash.lineColor, 0xff0000);
+            assert.isFalse(dash.shape.closed);
+        });
+        // The offset shortens the first dash
+        assert.deepEqual(dashes[0].shape.points, [0, 0, 3, 0]);
+        assert.deepEqual(dashes[1].shape.points, [5, 0, 9, 0]);
+        // Dashes continue around corners
+        assert.deepEqual(dashes[3].shape.points, [17, 0, 20, 0, 20, 1]);
+
+        // Empty segments draw solid strokes
+        g.sd([]).m(0, 0).l(10, 0).ef();
+        assert.equal(g.currentPath.lineWidth, 2);
+        assert.deepEqual(g.currentPath.shape.points, [0, 0, 10, 0]);
+        g.destroy();
+
+        // Pixi's methods aren't changed
+        assert.equal(PIXI.Graphics.prototype.l, PIXI.Graphics.prototype.lineTo);
+    });
+    it('should split dashed strokes of shapes and holes', function() {
+        var g = new PIXI.Graphics().d([
+            's', 1, 0x0000ff, 'sd', [4, 4],
+            'dr', 0, 0, 16, 8,
+            'dc', 40, 40, 10,
+            'f', 0xff0000, 'm', 60, 0, 'l', 80, 0, 'l', 80, 20, 'c',
+            'm', 64, 4, 'l', 70, 4, 'l', 70, 10, 'c', 'h'
+        ]);
+        var data = g.graphicsData;
+        var rect = data[0];
+        assert.equal(rect.shape.type, PIXI.SHAPES.RECT);
+        assert.equal(rect.lineWidth, 0);
+        // The top, right and bottom sides of the rectangle
+        assert.deepEqual(data[1].shape.points, [0, 0, 4, 0]);
+        assert.deepEqual(data[2].shape.points, [8, 0, 12, 0]);
+        assert.deepEqual(data[3].shape.points, [16, 0, 16, 4]);
+        assert.deepEqual(data[4].shape.points, [16, 8, 12, 8]);
+
+        var circle = data.filter(function(item) {
+            return item.shape.type === PIXI.SHAPES.CIRC;
+        })[0];
+        var index = data.indexOf(circle);
+        assert.equal(circle.lineWidth, 0);
+        assert.equal(data[index + 1].shape.points[0], 50);
+        assert.equal(data[index + 1].shape.points[1], 40);
+
+        // The outer path and the hole are dashed, each from the start
+        var path = data.filter(function(item) {
+            return item.holes.length;
+        })[0];
+        var dashes = data.slice(data.indexOf(path) + 1);
+        assert.equal(path.lineWidth, 0);
+        assert.deepEqual(dashes[0].shape.points, [60, 0, 64, 0]);
+        assert.includeDeepMembers(dashes.map(function(dash) {
+            return dash.shape.points;
+        }), [[64, 4, 68, 4]]);
+        g.destroy();
+    });
+});
@@ -0,0 +1,49 @@
+(function (PIXI, lib) {
+
+    var MovieClip = PIXI.animate.MovieClip;
+    var Graphics = PIXI.Graphics;
+    var shapes = PIXI.animate.ShapesCache;
+
+    var Graphic1 = MovieClip.extend(function (mode) {
+        MovieClip.call(this, { mode: mode, duration: 5, loop: false });
+        var instance1 = new Graphics()
+            .drawCommands(shapes.tween_tint_hsl[0]);
+        this.addTimedChild(instance1);
+    });
+
+    lib.tween_tint_hsl = MovieClip.extend(function () {
+        MovieClip.call(this, {
+            duration: 5,
+            framerate: 24
+        });
+        var instance1 = new Graphic1(MovieClip.SYNCHED);
+        this.addTimedChild(instance1, 0, 5, {
+            "0": {
+                x: 16,
+                y: 16,
+                t: "#ff0000",
+                e: 0,
+                cs: "hsl"
+            },
+            "4": {
+                t: "#0000ff"
+            }
+        });
+    });
+
+    lib.tween_tint_hsl.assets = {
+        "tween_tint_hsl": "images/tween_tint_hsl.shapes.json"
+    };
+})(PIXI, lib = lib || {});
+var lib;
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        stage: lib.tween_tint_hsl,
+        background: 0xffffff,
+        width: 32,
+        height: 32,
+        framerate: 24,
+        totalFrames: 5,
+        library: lib
+    };
+}
\ No newline at end of file
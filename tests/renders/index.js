@@ -239,6 +239,18 @@ describe('Renders', function() {
         this.validate('tween-tint-tint', done);
     });
 
+    it('should render a tint tween in rgb', function(done){
+        this.validate('tween-tint-rgb', done);
+    });
+
+    it('should render a tint tween in linear light', function(done){
+        this.validate('tween-tint-linear', done);
+    });
+
+    it('should render a tint tween in hsl', function(done){
+        this.validate('tween-tint-hsl', done);
+    });
+
     it('should render a tween along both x and y axes', function(done){
         this.validate('tween-x-y', done);
     });
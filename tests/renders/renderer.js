@@ -10,7 +10,15 @@ const ImageDiff = require('./imagediff');
  * @constructor
  */
 const Renderer = function(viewWebGL, viewContext2d) {
-    this.stage = new PIXI.Container();
+    this.frames = new PIXI.animate.FrameRenderer(Renderer.WIDTH, Renderer.HEIGHT, {
+        view: viewContext2d,
+        backgroundColor: 0xffffff,
+        antialias: false,
+        roundPixels: true
+    });
+    this.frames.renderer.smoothProperty = null;
+    this.stage = this.frames.stage;
+    this.canvas = this.frames.renderer;
     this.hasWebGL = PIXI.utils.isWebGLSupported();
     if (this.hasWebGL) {
         this.webgl = new PIXI.WebGLRenderer(Renderer.WIDTH, Renderer.HEIGHT, {
@@ -20,17 +28,8 @@ const Renderer = function(viewWebGL, viewContext2d) {
             preserveDrawingBuffer: true
         });
     }
-    this.canvas = new PIXI.CanvasRenderer(Renderer.WIDTH, Renderer.HEIGHT, {
-        view: viewContext2d,
-        backgroundColor: 0xffffff,
-        antialias: false,
-        preserveDrawingBuffer: true,
-        roundPixels: true
-    });
-    this.canvas.smoothProperty = null;
     this.render();
 
-    this.instance = null;
     this.imagediff = new ImageDiff(Renderer.WIDTH, Renderer.HEIGHT, Renderer.TOLERANCE);
 };
 
@@ -49,7 +48,7 @@ p.render = function() {
     if (this.hasWebGL) {
         this.webgl.render(this.stage);
     }
-    this.canvas.render(this.stage);
+    this.frames.render();
 };
 
 /**
@@ -57,11 +56,7 @@ p.render = function() {
  * @method clear
  */
 p.clear = function() {
-    this.stage.removeChildren();
-    if (this.instance) {
-        this.instance.destroy(true);
-        this.instance = null;
-    }
+    this.frames.clear();
     this.render();
 };
 
@@ -78,9 +73,7 @@ p.run = function(file, callback) {
         return callback(new Error('Invalid PixiAnimate format, make sure to enable "CommonJS Compatible Output" option in the Adobe Animate publishing settings.'));
     }
     PIXI.animate.load(fla.stage, (instance) => {
-        this.clear();
-        this.instance = instance;
-        this.stage.addChild(instance);
+        this.frames.setInstance(instance);
         const result = {
             webgl: [],
             canvas: []
@@ -97,7 +90,7 @@ p.run = function(file, callback) {
                     image: data
                 });
             }
-            data = this.canvas.view.toDataURL();
+            data = this.frames.getData('url');
             result.canvas.push({
                 hash: md5(data),
                 image: data